@@ -1,5 +1,5 @@
 // Background script for FancyTracker - Firefox Compatible Version
-// IMPORTANT: Only persists listener data (tab_listeners, tab_listener_keys)
+// IMPORTANT: Only persists listener data (tab_listeners, tab_listener_keys, tab_messages, tab_tampering, tab_frames, tab_segments, tab_history)
 // Navigation state (tab_push, tab_lasturl) is NOT persisted to avoid double-listener bugs
 
 // Firefox compatibility: Use browser API if available, fallback to chrome
@@ -16,6 +16,39 @@ const STORAGE_KEYS = {
 
 const CONTENT_TYPE_JSON = 'application/json; charset=UTF-8';
 
+// Shared with the popup, loaded before this script (see manifest.json)
+const stackParser = new StackParser();
+// Caches script source maps for the whole session
+const sourceMapResolver = new SourceMapResolver(stackParser);
+// Tags listeners from known postMessage libraries and SDKs
+const libraryDetector = new LibraryDetector(stackParser);
+// Every unique listener per site, kept in IndexedDB across sessions
+const knowledgeBase = new KnowledgeBase();
+
+// Oldest received messages are dropped past this count per tab
+const MAX_MESSAGES_PER_TAB = 500;
+
+// Oldest hook tampering events are dropped past this count per tab
+const MAX_TAMPERING_PER_TAB = 100;
+
+// Frames tracked per tab for the frame tree - ad-heavy pages can embed a lot
+const MAX_FRAMES_PER_TAB = 200;
+
+// Route segments kept per tab - later routes share the last segment
+const MAX_SEGMENTS_PER_TAB = 50;
+
+// Earlier pages kept per tab after full navigations - the oldest is dropped first
+const MAX_HISTORY_PER_TAB = 10;
+
+// Characters of message data kept for earlier pages - their stacks are dropped too
+const MAX_HISTORY_MESSAGE_DATA = 500;
+
+// Registration/removal events kept per listener for the timeline
+const MAX_EVENTS_PER_LISTENER = 50;
+
+// Minimum delay between popup updates caused by message traffic
+const MESSAGE_NOTIFY_INTERVAL = 250;
+
 // Simple extension blacklist - only the essentials
 const EXTENSION_BLACKLIST = [
     'wappalyzer',
@@ -25,6 +58,11 @@ const EXTENSION_BLACKLIST = [
 // Global variables - will be restored from storage
 var tab_listeners = {};
 var tab_listener_keys = {};
+var tab_messages = {};
+var tab_tampering = {};
+var tab_frames = {};
+var tab_segments = {};
+var tab_history = {};
 var tab_push = {}, tab_lasturl = {};
 var selectedId = -1;
 var connectedPorts = [];
@@ -33,10 +71,16 @@ var blockedListeners = [];
 var blockedUrls = [];
 var blockedRegex = [];
 var compiledRegex = []; // Compiled regex patterns for performance
+var messageNotifyTimer = null;
 
 // Pre-loading optimization: Keep popup data ready
 var cachedPopupData = {
     listeners: {},
+    messages: {},
+    tampering: {},
+    frames: {},
+    segments: {},
+    historyInfo: {},
     currentTabId: null,
     currentUrl: '',
     lastUpdate: 0
@@ -64,6 +108,8 @@ function isFromExtension(listener, stack) {
 class PersistentState {
     constructor() {
         this.isLoaded = false;
+        // Earlier pages only change on navigations - they are left out of saves until then
+        this.historyChanged = false;
         this.loadPromise = this.loadState();
     }
 
@@ -71,10 +117,15 @@ class PersistentState {
         if (this.isLoaded) return;
         
         try {
-            const result = await browserAPI.storage.local.get(['tab_listeners', 'tab_listener_keys']);
+            const result = await browserAPI.storage.local.get(['tab_listeners', 'tab_listener_keys', 'tab_messages', 'tab_tampering', 'tab_frames', 'tab_segments', 'tab_history']);
             
             // Initialize with stored data or defaults
             tab_listeners = result.tab_listeners || {};
+            tab_messages = result.tab_messages || {};
+            tab_tampering = result.tab_tampering || {};
+            tab_frames = result.tab_frames || {};
+            tab_segments = result.tab_segments || {};
+            tab_history = result.tab_history || {};
             
             // Convert arrays back to Sets
             tab_listener_keys = {};
@@ -110,10 +161,19 @@ class PersistentState {
             }
             
             // Only persist listener data, NOT navigation state
-            await browserAPI.storage.local.set({
+            const state = {
                 tab_listeners,
-                tab_listener_keys: tab_listener_keys_serializable
-            });
+                tab_listener_keys: tab_listener_keys_serializable,
+                tab_messages,
+                tab_tampering,
+                tab_frames,
+                tab_segments
+            };
+            if (this.historyChanged) {
+                this.historyChanged = false;
+                state.tab_history = tab_history;
+            }
+            await browserAPI.storage.local.set(state);
         } catch (error) {
             console.error('FancyTracker: Failed to save state to storage:', error);
         }
@@ -122,6 +182,12 @@ class PersistentState {
     // Debounced save to avoid excessive storage writes
     debouncedSave = this.debounce(this.saveState.bind(this), 100);
 
+    // Save including the earlier pages of every tab
+    saveHistory() {
+        this.historyChanged = true;
+        this.debouncedSave();
+    }
+
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -197,6 +263,11 @@ async function updateCachedData() {
     
     if (selectedId && selectedId > 0) {
         cachedPopupData.listeners = tab_listeners;
+        cachedPopupData.messages = tab_messages;
+        cachedPopupData.tampering = tab_tampering;
+        cachedPopupData.frames = tab_frames;
+        cachedPopupData.segments = tab_segments;
+        cachedPopupData.historyInfo = getHistoryInfo();
         cachedPopupData.currentTabId = selectedId;
         cachedPopupData.lastUpdate = Date.now();
         
@@ -230,14 +301,14 @@ async function initializeServiceWorker() {
     }
 }
 
-// FIXED: Count only active (non-blocked) listeners for badge
+// FIXED: Count only active (non-blocked, not removed) listeners for badge
 async function refreshCount() {
     await persistentState.loadPromise;
     
     // Count only non-blocked listeners
     let activeCount = 0;
     if (tab_listeners[selectedId]) {
-        activeCount = tab_listeners[selectedId].filter(listener => !isListenerBlocked(listener)).length;
+        activeCount = tab_listeners[selectedId].filter(listener => !listener.removed && !isListenerBlocked(listener)).length;
     }
     
     if (selectedId > 0) {
@@ -254,9 +325,14 @@ async function refreshCount() {
             // Tab no longer exists, clean up
             delete tab_listeners[selectedId];
             delete tab_listener_keys[selectedId];
+            delete tab_messages[selectedId];
+            delete tab_tampering[selectedId];
+            delete tab_frames[selectedId];
+            delete tab_segments[selectedId];
+            delete tab_history[selectedId];
             delete tab_lasturl[selectedId];
             // Only persist listener data changes
-            persistentState.debouncedSave();
+            persistentState.saveHistory();
         }
     }
 }
@@ -269,6 +345,11 @@ function notifyPopups() {
         try {
             port.postMessage({
                 listeners: cachedPopupData.listeners,
+                messages: cachedPopupData.messages,
+                tampering: cachedPopupData.tampering,
+                frames: cachedPopupData.frames,
+                segments: cachedPopupData.segments,
+                historyInfo: cachedPopupData.historyInfo,
                 currentUrl: cachedPopupData.currentUrl,
                 cached: true,
                 timestamp: cachedPopupData.lastUpdate
@@ -279,6 +360,15 @@ function notifyPopups() {
     });
 }
 
+// Message traffic can be bursty - coalesce popup updates
+function notifyPopupsThrottled() {
+    if (messageNotifyTimer) return;
+    messageNotifyTimer = setTimeout(() => {
+        messageNotifyTimer = null;
+        notifyPopups();
+    }, MESSAGE_NOTIFY_INTERVAL);
+}
+
 function logListener(data) {
     browserAPI.storage.sync.get({[STORAGE_KEYS.LOG_URL]: ''}, function(items) {
         const log_url = items[STORAGE_KEYS.LOG_URL];
@@ -300,61 +390,17 @@ function logListener(data) {
 
 // Generate unique key for listener identification
 function generateListenerKey(listener) {
-    const jsUrl = extractJsUrlFromStack(listener.stack, listener.fullstack) || '';
+    const scriptLocation = stackParser.extractScriptLocation(listener.stack, listener.fullstack) || '';
     const hops = listener.hops || '';
-    const domain = listener.domain || '';
+    // Origin tells apart http/https and ports, domain is kept for records from older versions
+    const domain = (listener.context && listener.context.origin) || listener.domain || '';
     const listenerCode = listener.listener || '';
+    // Window listeners keep the original key format
+    const target = listener.target && listener.target !== 'window' ? `${listener.target}|` : '';
+    // Each route segment keeps its own copy of listeners registered again after a soft navigation
+    const segment = listener.segment ? `${listener.segment}|` : '';
     
-    return `${jsUrl}|${hops}|${domain}|${listenerCode}`;
-}
-
-// FIXED: Strip query parameters and fragments from URLs
-function cleanUrl(url) {
-    if (!url) return url;
-    try {
-        const urlObj = new URL(url);
-        // Return just protocol + hostname + pathname (no query params or fragments)
-        return urlObj.protocol + '//' + urlObj.hostname + urlObj.pathname;
-    } catch (e) {
-        // If URL parsing fails, try basic string manipulation
-        return url.split('?')[0].split('#')[0];
-    }
-}
-
-// Extract JS URL from stack trace with query parameter stripping
-function extractJsUrlFromStack(stack, fullstack) {
-    const stackLines = fullstack || (stack ? [stack] : []);
-    
-    for (const line of stackLines) {
-        if (typeof line === 'string') {
-            // Look for URLs in parentheses first (most common format)
-            const urlMatch = line.match(/\(https?:\/\/[^)]+\)/g);
-            if (urlMatch) {
-                for (const match of urlMatch) {
-                    let url = match.slice(1, -1); // Remove parentheses
-                    // Remove line numbers and column numbers
-                    url = url.replace(/:\d+:\d+$/, '').replace(/:\d+$/, '');
-                    // Strip query parameters and fragments
-                    url = cleanUrl(url);
-                    if (url) return url;
-                }
-            }
-            
-            // Fallback: look for bare URLs starting with http
-            const bareUrlMatch = line.match(/https?:\/\/[^\s\)]+/g);
-            if (bareUrlMatch) {
-                for (const match of bareUrlMatch) {
-                    let url = match;
-                    // Remove line numbers and column numbers
-                    url = url.replace(/:\d+:\d+$/, '').replace(/:\d+$/, '');
-                    // Strip query parameters and fragments
-                    url = cleanUrl(url);
-                    if (url) return url;
-                }
-            }
-        }
-    }
-    return null;
+    return `${segment}${target}${scriptLocation}|${hops}|${domain}|${listenerCode}`;
 }
 
 // Check if listener is duplicate
@@ -407,7 +453,7 @@ function isListenerBlocked(listener) {
     }
     
     // Check if JS file URL is blocked (with cleaned URL)
-    const jsUrl = extractJsUrlFromStack(listener.stack, listener.fullstack);
+    const jsUrl = stackParser.extractScriptUrl(listener.stack, listener.fullstack);
     if (jsUrl && blockedUrls.includes(jsUrl)) {
         return true;
     }
@@ -435,7 +481,15 @@ async function addListener(tabId, listener) {
         tab_listener_keys[tabId] = new Set();
     }
     
+    // Lets the popup reach the page again for its inline scripts, whichever view shows the record
+    listener.tabId = tabId;
+    listener.segment = getSegments(tabId, listener.parent_url).current;
+    listener.library = libraryDetector.detect(listener);
+    
     if (!isDuplicateListener(listener, tabId)) {
+        // Registrations still attached in the page - emptied by removals
+        listener.liveIds = listener.id ? [listener.id] : [];
+        addListenerEvent(listener, 'added', listener);
         tab_listeners[tabId].push(listener);
         addListenerKey(listener, tabId);
         
@@ -445,23 +499,326 @@ async function addListener(tabId, listener) {
         if (!isListenerBlocked(listener)) {
             logListener(listener);
         }
+        recordKnowledge(tabId, listener);
         return true;
     }
-    return false;
+    return reviveDuplicateListener(tabId, listener);
 }
 
-// Clear listeners with persistence
+// Add a new listener record to the knowledge base and tag it with what the base knew before -
+// runs after the record is stored, the popup picks the tag up with the next update
+async function recordKnowledge(tabId, listener) {
+    if (!/^https?:/.test(listener.parent_url || '')) return;
+    
+    const history = getHistory(tabId);
+    if (!history.loadedAt) {
+        history.loadedAt = Date.now();
+        persistentState.saveHistory();
+    }
+    
+    try {
+        listener.knowledge = await knowledgeBase.record(listener, listener.parent_url, history.loadedAt,
+            stackParser.extractScriptUrl(listener.stack, listener.fullstack));
+        persistentState.debouncedSave();
+        if (listener.knowledge && listener.knowledge.isNew) {
+            notifyPopupsThrottled();
+        }
+    } catch (error) {
+        console.error('FancyTracker: Failed to update knowledge base:', error);
+    }
+}
+
+// Registration history of a record for the timeline: every add and removal of any of its
+// registrations, with wall-clock and frame-relative time
+function addListenerEvent(listener, type, source) {
+    listener.events = listener.events || [];
+    listener.events.push({
+        type: type,
+        id: source.id,
+        reason: source.reason,
+        timestamp: source.timestamp || Date.now(),
+        frameTime: source.frameTime !== undefined ? source.frameTime : null
+    });
+    if (listener.events.length > MAX_EVENTS_PER_LISTENER) {
+        listener.events.splice(0, listener.events.length - MAX_EVENTS_PER_LISTENER);
+    }
+}
+
+// A duplicate registration keeps the existing record alive under its own id
+function reviveDuplicateListener(tabId, listener) {
+    if (!listener.id) return false;
+    
+    const key = generateListenerKey(listener);
+    const existing = tab_listeners[tabId].find(item => generateListenerKey(item) === key);
+    if (!existing) return false;
+    
+    existing.liveIds = existing.liveIds || [];
+    if (!existing.liveIds.includes(listener.id)) {
+        existing.liveIds.push(listener.id);
+        addListenerEvent(existing, 'added', listener);
+    }
+    const wasRemoved = !!existing.removed;
+    delete existing.removed;
+    delete existing.removedAt;
+    delete existing.removedReason;
+    
+    persistentState.debouncedSave();
+    return wasRemoved;
+}
+
+// Mark a listener removed once none of its registrations are left in the page.
+// A reassigned onmessage handler is replaced by the new one instead.
+async function markListenerRemoved(tabId, removal) {
+    await persistentState.loadPromise;
+    
+    const listeners = tab_listeners[tabId] || [];
+    let changed = false;
+    
+    for (const listener of listeners.slice()) {
+        if (!listener.liveIds || !listener.liveIds.includes(removal.id)) continue;
+        
+        listener.liveIds = listener.liveIds.filter(id => id !== removal.id);
+        addListenerEvent(listener, 'removed', removal);
+        changed = true;
+        if (listener.liveIds.length === 0 && removal.reason === 'replaced') {
+            listeners.splice(listeners.indexOf(listener), 1);
+            if (tab_listener_keys[tabId]) {
+                tab_listener_keys[tabId].delete(generateListenerKey(listener));
+            }
+        } else if (listener.liveIds.length === 0 && !listener.removed) {
+            listener.removed = true;
+            listener.removedAt = removal.timestamp || Date.now();
+            listener.removedReason = removal.reason;
+        }
+    }
+    
+    if (changed) {
+        persistentState.debouncedSave();
+    }
+    return changed;
+}
+
+// Add up listener calls reported by main.js and keep the last message each one got
+async function recordInvocations(tabId, invocations) {
+    await persistentState.loadPromise;
+    
+    const listeners = tab_listeners[tabId] || [];
+    let changed = false;
+    
+    for (const invocation of invocations) {
+        const listener = listeners.find(item => item.id === invocation.id ||
+            (item.liveIds && item.liveIds.includes(invocation.id)));
+        if (!listener) continue;
+        
+        listener.calls = (listener.calls || 0) + invocation.calls;
+        listener.lastCall = {
+            origin: invocation.origin,
+            data: invocation.data,
+            dataType: invocation.dataType,
+            truncated: invocation.truncated,
+            timestamp: invocation.timestamp
+        };
+        changed = true;
+    }
+    
+    if (changed) {
+        persistentState.debouncedSave();
+    }
+    return changed;
+}
+
+// Record a received message with persistence, keeping only the newest per tab
+async function addMessage(tabId, message) {
+    await persistentState.loadPromise;
+    
+    if (!tab_messages[tabId]) {
+        tab_messages[tabId] = [];
+    }
+    
+    tab_messages[tabId].push(message);
+    if (tab_messages[tabId].length > MAX_MESSAGES_PER_TAB) {
+        tab_messages[tabId].splice(0, tab_messages[tabId].length - MAX_MESSAGES_PER_TAB);
+    }
+    
+    // Save state after modification
+    persistentState.debouncedSave();
+}
+
+// Record a hook tampering event reported by main.js, keeping only the newest per tab
+async function addTampering(tabId, event) {
+    await persistentState.loadPromise;
+    
+    if (!tab_tampering[tabId]) {
+        tab_tampering[tabId] = [];
+    }
+    
+    tab_tampering[tabId].push(event);
+    if (tab_tampering[tabId].length > MAX_TAMPERING_PER_TAB) {
+        tab_tampering[tabId].splice(0, tab_tampering[tabId].length - MAX_TAMPERING_PER_TAB);
+    }
+    
+    persistentState.debouncedSave();
+}
+
+// Routes are told apart by path and hash - query changes stay on the same route
+function getRouteKey(url) {
+    try {
+        const urlObj = new URL(url);
+        return urlObj.origin + urlObj.pathname + urlObj.hash;
+    } catch (e) {
+        return url || '';
+    }
+}
+
+// A tab's route segments, started from the URL the page was loaded with
+function getSegments(tabId, url) {
+    if (!tab_segments[tabId]) {
+        tab_segments[tabId] = {
+            current: 0,
+            list: [{ id: 0, url: url || '', route: getRouteKey(url), kind: 'load', startedAt: Date.now() }]
+        };
+    }
+    return tab_segments[tabId];
+}
+
+// Switch to the segment of the route a soft navigation led to, going back to an earlier
+// segment when the route was visited before. Replacing navigations rename the current segment.
+async function recordNavigation(tabId, navigation) {
+    await persistentState.loadPromise;
+    
+    const segments = getSegments(tabId, navigation.from);
+    const current = segments.list[segments.current];
+    const route = getRouteKey(navigation.url);
+    
+    if (navigation.replace) {
+        current.url = navigation.url;
+        current.route = route;
+    } else {
+        const existing = segments.list.find(segment => segment.route === route);
+        if (existing) {
+            existing.url = navigation.url;
+            segments.current = existing.id;
+        } else if (segments.list.length < MAX_SEGMENTS_PER_TAB) {
+            segments.list.push({
+                id: segments.list.length,
+                url: navigation.url,
+                route: route,
+                kind: navigation.kind,
+                startedAt: navigation.timestamp || Date.now(),
+                frameTime: navigation.frameTime
+            });
+            segments.current = segments.list.length - 1;
+        } else {
+            segments.current = segments.list.length - 1;
+        }
+    }
+    
+    persistentState.debouncedSave();
+}
+
+// Record a frame reported by main.js, keyed by its hops path - a navigated frame replaces its entry
+async function addFrame(tabId, frame) {
+    await persistentState.loadPromise;
+    
+    if (!tab_frames[tabId]) {
+        tab_frames[tabId] = {};
+    }
+    
+    const frames = tab_frames[tabId];
+    if (!frames[frame.hops] && Object.keys(frames).length >= MAX_FRAMES_PER_TAB) {
+        return false;
+    }
+    frames[frame.hops] = frame;
+    
+    persistentState.debouncedSave();
+    return true;
+}
+
+// URL of the page a tab's data was collected on - the first route, else whatever recorded it
+function getPageUrl(tabId) {
+    const segments = tab_segments[tabId];
+    if (segments && segments.list.length > 0 && segments.list[0].url) {
+        return segments.list[0].url;
+    }
+    const record = (tab_listeners[tabId] || []).concat(tab_messages[tabId] || [], tab_tampering[tabId] || [])
+        .find(item => item.parent_url);
+    return record ? record.parent_url : '';
+}
+
+// A tab's earlier pages, plus when the page it shows now was loaded
+function getHistory(tabId) {
+    if (!tab_history[tabId]) {
+        tab_history[tabId] = { loadedAt: null, pages: [] };
+    }
+    return tab_history[tabId];
+}
+
+// Per tab, when its page was loaded and the keys of its earlier pages - the pages
+// themselves are only sent when the popup asks for them
+function getHistoryInfo() {
+    const info = {};
+    for (const [tabId, history] of Object.entries(tab_history)) {
+        info[tabId] = { loadedAt: history.loadedAt, keys: history.pages.map(page => page.key) };
+    }
+    return info;
+}
+
+// Earlier pages keep message previews only - a busy page would otherwise store megabytes per page
+function trimHistoryMessage(message) {
+    const trimmed = Object.assign({}, message);
+    delete trimmed.fullstack;
+    if (typeof trimmed.data === 'string' && trimmed.data.length > MAX_HISTORY_MESSAGE_DATA) {
+        trimmed.data = trimmed.data.substring(0, MAX_HISTORY_MESSAGE_DATA);
+        trimmed.truncated = true;
+    }
+    return trimmed;
+}
+
+// Keep what a tab collected on the page it's leaving, keyed by page URL and load time
+function snapshotPage(tabId) {
+    const history = getHistory(tabId);
+    const segments = tab_segments[tabId];
+    const url = getPageUrl(tabId);
+    const loadedAt = history.loadedAt || (segments && segments.list[0].startedAt) || Date.now();
+    
+    history.pages.push({
+        key: `${url}@${loadedAt}`,
+        url: url,
+        loadedAt: loadedAt,
+        leftAt: Date.now(),
+        listeners: tab_listeners[tabId] || [],
+        messages: (tab_messages[tabId] || []).map(trimHistoryMessage),
+        tampering: tab_tampering[tabId] || [],
+        frames: tab_frames[tabId] || {},
+        segments: segments || null
+    });
+    if (history.pages.length > MAX_HISTORY_PER_TAB) {
+        history.pages.splice(0, history.pages.length - MAX_HISTORY_PER_TAB);
+    }
+}
+
+// Start a new page in the tab - what the previous page collected moves to its history
 async function clearListeners(tabId) {
     await persistentState.loadPromise;
     
-    const hadListeners = tab_listeners[tabId] && tab_listeners[tabId].length > 0;
+    const hadListeners = (tab_listeners[tabId] && tab_listeners[tabId].length > 0) ||
+                         (tab_messages[tabId] && tab_messages[tabId].length > 0) ||
+                         (tab_tampering[tabId] && tab_tampering[tabId].length > 0);
+    if (hadListeners) {
+        snapshotPage(tabId);
+    }
+    getHistory(tabId).loadedAt = Date.now();
     tab_listeners[tabId] = [];
+    tab_messages[tabId] = [];
+    tab_tampering[tabId] = [];
+    tab_frames[tabId] = {};
+    delete tab_segments[tabId];
     if (tab_listener_keys[tabId]) {
         tab_listener_keys[tabId].clear();
     }
     
     // Save state after modification
-    persistentState.debouncedSave();
+    persistentState.saveHistory();
     
     return hadListeners;
 }
@@ -489,6 +846,24 @@ browserAPI.runtime.onMessage.addListener(function(msg, sender, sendResponse) {
             return;
         }
         
+        // Popup asks where a listener's code came from before minification - inline scripts
+        // are read from the frame still showing that document in the listener's own tab.
+        // Extension pages only: a page can relay a forged message through the bridge
+        if (msg.action === 'resolveSourceMap') {
+            if (!sender || sender.tab) {
+                sendResponse({success: false});
+                return;
+            }
+            const listener = msg.listener || {};
+            const original = await sourceMapResolver.resolveListener(listener, url =>
+                typeof listener.tabId !== 'number' ? [] :
+                    browserAPI.tabs.sendMessage(listener.tabId, { action: 'getInlineScripts', url: url })
+                        .then(response => (response && response.scripts) || [])
+                        .catch(() => []));
+            sendResponse({success: true, original: original});
+            return;
+        }
+        
         if (!sender || !sender.tab) {
             sendResponse({success: false});
             return;
@@ -499,6 +874,49 @@ browserAPI.runtime.onMessage.addListener(function(msg, sender, sendResponse) {
         const tabId = sender.tab.id;
         let shouldNotifyPopups = false;
         
+        // Received messages only need storing - skip the badge refresh below
+        if (msg.message) {
+            msg.message.parent_url = sender.tab.url;
+            await addMessage(tabId, msg.message);
+            notifyPopupsThrottled();
+            sendResponse({success: true});
+            return;
+        }
+        
+        if (msg.tampering) {
+            msg.tampering.parent_url = sender.tab.url;
+            await addTampering(tabId, msg.tampering);
+            notifyPopupsThrottled();
+            sendResponse({success: true});
+            return;
+        }
+        
+        // Listener calls come in batches - no badge change, just the cards
+        if (msg.invocations) {
+            if (await recordInvocations(tabId, msg.invocations)) {
+                notifyPopupsThrottled();
+            }
+            sendResponse({success: true});
+            return;
+        }
+        
+        if (msg.navigation) {
+            await recordNavigation(tabId, msg.navigation);
+            notifyPopupsThrottled();
+            sendResponse({success: true});
+            return;
+        }
+        
+        if (msg.frame) {
+            msg.frame.frameId = sender.frameId;
+            msg.frame.parent_url = sender.tab.url;
+            if (await addFrame(tabId, msg.frame)) {
+                notifyPopupsThrottled();
+            }
+            sendResponse({success: true});
+            return;
+        }
+        
         if (msg.listener) {
             if (msg.listener == 'function () { [native code] }') {
                 sendResponse({success: true});
@@ -506,10 +924,19 @@ browserAPI.runtime.onMessage.addListener(function(msg, sender, sendResponse) {
             }
             
             msg.parent_url = sender.tab.url;
+            // The browser's view of the sending frame, the page can't fake it
+            if (msg.context) {
+                msg.context.frameId = sender.frameId;
+                msg.context.senderUrl = sender.url;
+            }
             const added = await addListener(tabId, msg);
             shouldNotifyPopups = added;
         }
         
+        if (msg.removed) {
+            shouldNotifyPopups = await markListenerRemoved(tabId, msg.removed);
+        }
+        
         if (msg.pushState) {
             tab_push[tabId] = true;
             // Don't persist navigation state
@@ -583,16 +1010,26 @@ browserAPI.tabs.onRemoved.addListener(async function(tabId) {
     
     delete tab_listeners[tabId];
     delete tab_listener_keys[tabId];
+    delete tab_messages[tabId];
+    delete tab_tampering[tabId];
+    delete tab_frames[tabId];
+    delete tab_segments[tabId];
+    delete tab_history[tabId];
     delete tab_push[tabId];
     delete tab_lasturl[tabId];
     
     // Only persist listener data changes
-    persistentState.debouncedSave();
+    persistentState.saveHistory();
     
     // Clear cached data if it was for the removed tab
     if (cachedPopupData.currentTabId === tabId) {
         cachedPopupData = {
             listeners: {},
+            messages: {},
+            tampering: {},
+            frames: {},
+            segments: {},
+            historyInfo: {},
             currentTabId: null,
             currentUrl: '',
             lastUpdate: 0
@@ -606,10 +1043,24 @@ browserAPI.runtime.onConnect.addListener(async function(port) {
     connectedPorts.push(port);
     
     port.onMessage.addListener(async function(msg) {
+        // Earlier pages of a tab, asked for by the history view
+        if (msg && msg.action === 'get-history') {
+            port.postMessage({
+                history: tab_history[msg.tabId] || null,
+                historyTabId: msg.tabId
+            });
+            return;
+        }
+        
         // Instant response with cached data
         if (cachedPopupData.currentTabId === selectedId && cachedPopupData.lastUpdate > 0) {
             port.postMessage({
                 listeners: cachedPopupData.listeners,
+                messages: cachedPopupData.messages,
+                tampering: cachedPopupData.tampering,
+                frames: cachedPopupData.frames,
+                segments: cachedPopupData.segments,
+                historyInfo: cachedPopupData.historyInfo,
                 currentUrl: cachedPopupData.currentUrl,
                 cached: true,
                 timestamp: cachedPopupData.lastUpdate
@@ -619,6 +1070,11 @@ browserAPI.runtime.onConnect.addListener(async function(port) {
             await updateCachedData();
             port.postMessage({
                 listeners: tab_listeners,
+                messages: tab_messages,
+                tampering: tab_tampering,
+                frames: tab_frames,
+                segments: tab_segments,
+                historyInfo: getHistoryInfo(),
                 currentUrl: cachedPopupData.currentUrl || 'Loading...',
                 cached: false,
                 timestamp: Date.now()
@@ -634,6 +1090,11 @@ browserAPI.runtime.onConnect.addListener(async function(port) {
     if (cachedPopupData.currentTabId === selectedId && cachedPopupData.lastUpdate > 0) {
         port.postMessage({
             listeners: cachedPopupData.listeners,
+            messages: cachedPopupData.messages,
+            tampering: cachedPopupData.tampering,
+            frames: cachedPopupData.frames,
+            segments: cachedPopupData.segments,
+            historyInfo: cachedPopupData.historyInfo,
             currentUrl: cachedPopupData.currentUrl,
             cached: true,
             timestamp: cachedPopupData.lastUpdate
@@ -642,6 +1103,11 @@ browserAPI.runtime.onConnect.addListener(async function(port) {
         await updateCachedData();
         port.postMessage({
             listeners: tab_listeners,
+            messages: tab_messages,
+            tampering: tab_tampering,
+            frames: tab_frames,
+            segments: tab_segments,
+            historyInfo: getHistoryInfo(),
             currentUrl: cachedPopupData.currentUrl || 'Loading...',
             cached: false,
             timestamp: Date.now()
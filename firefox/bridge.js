@@ -23,16 +23,107 @@ if (typeof window.FancyTrackerBridgeLoaded === 'undefined') {
             }
         }
 
+        // Private channel to main.js for commands and settings - the page can't see or forge it
+        var pagePort = null;
+        var pageConfig = null;
+        var pendingCommands = {};
+        var commandCounter = 0;
+
+        function connectPage(port) {
+            pagePort = port;
+            pagePort.onmessage = function(event) {
+                var result = event.data && event.data.commandResult;
+                var callback = result && pendingCommands[result.id];
+                if (callback) {
+                    delete pendingCommands[result.id];
+                    callback(result);
+                }
+            };
+            if (pageConfig) {
+                pagePort.postMessage({config: pageConfig});
+            }
+        }
+
         // Listen for messages from the MAIN world content script
         window.addEventListener('message', function(event) {
             if (event.source === window && 
                 event.data && 
                 event.data.type === 'POSTMESSAGE_TRACKER_DATA') {
                 
+                // main.js hands over its channel first thing - listeners the page adds later never see it
+                if (event.data.connect) {
+                    event.stopImmediatePropagation();
+                    if (!pagePort && event.ports.length) {
+                        connectPage(event.ports[0]);
+                    }
+                    return;
+                }
                 sendMessageSafely(event.data.detail);
             }
         });
 
+        // Commands from the popup are executed by main.js in the page's own context
+        browserAPI.runtime.onMessage.addListener(function(msg, sender, sendResponse) {
+            if (!msg || msg.action !== 'sendPostMessage') return;
+
+            if (!pagePort) {
+                sendResponse({success: false, error: 'FancyTracker page script not loaded in this frame'});
+                return;
+            }
+
+            var id = 'cmd' + (++commandCounter);
+            pendingCommands[id] = function(result) {
+                sendResponse({success: result.success, error: result.error});
+            };
+            pagePort.postMessage({
+                command: {
+                    id: id,
+                    action: msg.action,
+                    hops: msg.hops,
+                    payload: msg.payload,
+                    payloadType: msg.payloadType,
+                    targetOrigin: msg.targetOrigin,
+                    withPort: msg.withPort
+                }
+            });
+            return true;
+        });
+
+        // Inline <script> text for source map lookups - only the frame showing that document answers,
+        // so the background never has to request the page again
+        browserAPI.runtime.onMessage.addListener(function(msg, sender, sendResponse) {
+            if (!msg || msg.action !== 'getInlineScripts') return;
+            if (location.href.split('#')[0] !== String(msg.url || '').split('#')[0]) return;
+
+            sendResponse({
+                scripts: Array.prototype.filter.call(document.scripts, function(script) {
+                    return !script.src;
+                }).map(function(script) {
+                    return script.textContent;
+                })
+            });
+        });
+
+        // Settings main.js needs - it can't read extension storage itself
+        function sendConfig(settings) {
+            pageConfig = {
+                instrumentWorkers: !!settings.instrumentWorkersEnabled
+            };
+            if (pagePort) {
+                pagePort.postMessage({config: pageConfig});
+            }
+        }
+
+        browserAPI.storage.local.get(['instrumentWorkersEnabled'], function(result) {
+            sendConfig(result || {});
+        });
+
+        browserAPI.storage.onChanged.addListener(function(changes, area) {
+            if (area === 'local' && changes.instrumentWorkersEnabled) {
+                sendConfig({instrumentWorkersEnabled: changes.instrumentWorkersEnabled.newValue});
+            }
+        });
+
         // Track page changes
         window.addEventListener('beforeunload', function() {
             sendMessageSafely({changePage: true});
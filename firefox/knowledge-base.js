@@ -0,0 +1,160 @@
+// Long-term listener knowledge base for FancyTracker, kept in IndexedDB - Firefox Compatible Version
+// The background script records every unique listener per site, the popup reads it back.
+// Separate from the per-tab state in storage.local, which is rewritten as a whole on every change.
+class KnowledgeBase {
+    constructor() {
+        this.DB_NAME = 'FancyTracker';
+        this.DB_VERSION = 1;
+        // Code beyond this is cut when stored - the hash still covers all of it
+        this.MAX_CODE_LENGTH = 100000;
+        // Country-code second levels ("example.co.uk") - the site is one label longer there
+        this.SECOND_LEVEL_REGEX = /^(?:co|com|net|org|gov|ac|edu|ne|or)\.[a-z]{2}$/;
+        // A page loaded this long after the site's last record starts a new visit - reloads and
+        // clicking around the site stay in the same one
+        this.VISIT_GAP = 30 * 60 * 1000;
+
+        this.dbPromise = null;
+    }
+
+    // listeners: one entry per site and code hash. sites: when each site was visited
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const listeners = db.createObjectStore('listeners', { keyPath: 'id' });
+                    listeners.createIndex('site', 'site');
+                    db.createObjectStore('sites', { keyPath: 'site' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Scheme plus registrable domain of a URL - close enough without the public suffix list
+    getSite(url) {
+        try {
+            const urlObj = new URL(url);
+            const host = urlObj.hostname;
+            if (!host || /^[\d.]+$/.test(host) || host.includes(':')) {
+                return host ? `${urlObj.protocol}//${host}` : urlObj.protocol;
+            }
+            const labels = host.split('.');
+            const keep = labels.length > 2 && this.SECOND_LEVEL_REGEX.test(labels.slice(-2).join('.')) ? 3 : 2;
+            return `${urlObj.protocol}//${labels.slice(-keep).join('.')}`;
+        } catch (e) {
+            return url || 'unknown';
+        }
+    }
+
+    // Whitespace differences between builds or prettifiers don't make a new listener -
+    // runs collapse to one space, which is dropped next to punctuation
+    normalizeCode(code) {
+        return String(code || '').replace(/\s+/g, ' ').replace(/ ?([^\w$ ]) ?/g, '$1').trim();
+    }
+
+    async hashCode(code) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(this.normalizeCode(code)));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Record a listener seen on a page loaded at loadedAt. Resolves to {hash, firstSeen,
+    // previousVisit, isNew} - new means first seen during this visit of a site visited before.
+    // lastVisit is when the current visit started, lastRecord when the site last recorded anything
+    async record(listener, pageUrl, loadedAt, scriptUrl) {
+        const site = this.getSite(pageUrl);
+        const hash = await this.hashCode(listener.listener);
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['listeners', 'sites'], 'readwrite');
+            const listeners = transaction.objectStore('listeners');
+            const sites = transaction.objectStore('sites');
+            let result = null;
+
+            sites.get(site).onsuccess = (siteEvent) => {
+                const now = Date.now();
+                const visit = siteEvent.target.result ||
+                    { site: site, firstVisit: loadedAt, lastVisit: loadedAt, previousVisit: null, lastRecord: now, listenerCount: 0 };
+                // Sites stored before lastRecord was kept fall back to their visit start
+                if (loadedAt - (visit.lastRecord || visit.lastVisit) > this.VISIT_GAP) {
+                    visit.previousVisit = visit.lastVisit;
+                    visit.lastVisit = loadedAt;
+                }
+                visit.lastRecord = Math.max(visit.lastRecord || 0, now);
+
+                const id = `${site}|${hash}`;
+                listeners.get(id).onsuccess = (listenerEvent) => {
+                    let entry = listenerEvent.target.result;
+                    if (!entry) {
+                        const code = String(listener.listener || '');
+                        entry = {
+                            id: id,
+                            site: site,
+                            hash: hash,
+                            code: code.length > this.MAX_CODE_LENGTH ? code.substring(0, this.MAX_CODE_LENGTH) : code,
+                            truncated: code.length > this.MAX_CODE_LENGTH,
+                            origin: (listener.context && listener.context.origin) || listener.domain || '',
+                            hops: listener.hops || '',
+                            firstSeen: now,
+                            seenCount: 0
+                        };
+                        visit.listenerCount++;
+                    }
+                    entry.lastSeen = now;
+                    entry.lastUrl = pageUrl;
+                    entry.scriptUrl = scriptUrl || entry.scriptUrl || null;
+                    entry.seenCount++;
+
+                    listeners.put(entry);
+                    sites.put(visit);
+                    result = {
+                        hash: hash,
+                        firstSeen: entry.firstSeen,
+                        previousVisit: visit.previousVisit,
+                        isNew: visit.previousVisit !== null && entry.firstSeen >= visit.lastVisit
+                    };
+                };
+            };
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Every site in the knowledge base, most recently visited first
+    async getSites() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction('sites').objectStore('sites').getAll();
+            request.onsuccess = () => resolve(request.result.sort((a, b) => b.lastVisit - a.lastVisit));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Known listeners of a site, with the site's visit record
+    async getSiteListeners(site) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['listeners', 'sites']);
+            const result = { site: null, listeners: [] };
+            transaction.objectStore('sites').get(site).onsuccess = (e) => {
+                result.site = e.target.result || null;
+            };
+            transaction.objectStore('listeners').index('site').getAll(site).onsuccess = (e) => {
+                result.listeners = e.target.result.sort((a, b) => a.firstSeen - b.firstSeen);
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+globalThis.KnowledgeBase = KnowledgeBase;
\ No newline at end of file
@@ -0,0 +1,192 @@
+// Fingerprints for well-known postMessage libraries and SDKs - Firefox Compatible Version
+// Shared by the background script (tags listeners as they arrive) and the popup (older records)
+class LibraryDetector {
+    constructor(stackParser) {
+        this.stackParser = stackParser;
+
+        // url: script URLs from the registering stack, code: signatures in the listener itself.
+        // advisory: what's worth knowing before digging into it - shown on the card
+        this.LIBRARIES = [
+            {
+                id: 'post-robot',
+                name: 'post-robot / zoid',
+                url: [/\/post-robot(?:\.min)?\.js/i, /\/zoid(?:\.frame(?:work)?)?(?:\.min)?\.js/i],
+                code: [/__post_robot_\w*__/, /__zoid_\w*__/, /postrobot_method/],
+                advisory: 'Handlers added with postRobot.on() accept any domain unless a domain option is passed - check the on() calls, not this listener. zoid components: look at allowedParentDomains.'
+            },
+            {
+                id: 'penpal',
+                name: 'Penpal',
+                url: [/\/penpal(?:\.min)?\.js/i],
+                // Message checks: "data.penpal" in 4-6, the "penpal" namespace in 7
+                code: [/\.data\.penpal\b/, /\.namespace\s*[!=]==?\s*['"]penpal['"]/],
+                advisory: 'Connections only talk to the origin given as childOrigin / allowedOrigins (defaults to the iframe src origin). Every method passed to connect is callable by the other side.'
+            },
+            {
+                id: 'comlink',
+                name: 'Comlink',
+                url: [/\/comlink(?:\.min)?\.m?js/i],
+                code: [/for comlink proxy/, /Comlink\.(?:expose|wrap)/],
+                advisory: 'expose() accepts calls from any origin unless allowedOrigins is passed (Comlink 4.4+). Everything exposed is callable, including nested properties.'
+            },
+            {
+                id: 'iframe-resizer',
+                name: 'iframe-resizer',
+                url: [/iframe-?resizer/i, /iframeResizer(?:\.contentWindow)?(?:\.min)?\.js/i],
+                code: [/\[iFrameSizer\]/, /iFrameResizer/],
+                advisory: 'Messages are "[iFrameSizer]" prefixed strings. The parent script honours checkOrigin (on by default); the contentWindow script trusts whichever page frames it.'
+            },
+            {
+                id: 'easyxdm',
+                name: 'easyXDM',
+                url: [/easyXDM(?:\.min)?\.js/i],
+                code: [/easyXDM/],
+                advisory: 'Unmaintained. Versions before 2.4.19 have a known DOM XSS (CVE-2014-1403) - check the version in the script banner.'
+            },
+            {
+                id: 'postmate',
+                name: 'Postmate',
+                url: [/\/postmate(?:\.min)?\.js/i],
+                code: [/application\/x-postmate-v1\+json/],
+                advisory: 'The child takes the parent origin from the handshake message, so any page that frames it can complete the handshake and call its model.'
+            },
+            {
+                id: 'gapi',
+                name: 'Google API client (gapi)',
+                url: [/^https:\/\/apis\.google\.com\/(?:js|_\/scs)\//, /^https:\/\/www\.gstatic\.com\/_\/mss\//],
+                code: [/\bgapi\.(?:rpc|iframes)\b/],
+                advisory: 'gapi RPC checks the origin against the frames it created. Usually noise unless the page registers its own gapi.rpc services.'
+            },
+            {
+                id: 'recaptcha',
+                name: 'Google reCAPTCHA',
+                url: [/^https:\/\/www\.(?:google|recaptcha)\.net\/recaptcha\//, /^https:\/\/www\.google\.com\/recaptcha\//, /^https:\/\/www\.gstatic\.com\/recaptcha\//],
+                code: [],
+                advisory: 'Only talks to the reCAPTCHA frames. Usually noise.'
+            },
+            {
+                id: 'hcaptcha',
+                name: 'hCaptcha',
+                url: [/^https:\/\/(?:js\.|newassets\.)?hcaptcha\.com\//],
+                code: [],
+                advisory: 'Only talks to the hCaptcha frames. Usually noise.'
+            },
+            {
+                id: 'turnstile',
+                name: 'Cloudflare Turnstile',
+                url: [/^https:\/\/challenges\.cloudflare\.com\/turnstile\//],
+                code: [],
+                advisory: 'Only talks to the challenge frames. Usually noise.'
+            },
+            {
+                id: 'stripe',
+                name: 'Stripe.js',
+                url: [/^https:\/\/(?:js|m)\.stripe\.com\//],
+                code: [],
+                advisory: 'Checks that messages come from js.stripe.com frames. Usually noise - interesting only on the stripe.com frames themselves.'
+            },
+            {
+                id: 'paypal',
+                name: 'PayPal SDK',
+                url: [/^https:\/\/(?:www\.)?paypal\.com\/sdk\/js/, /^https:\/\/www\.paypalobjects\.com\//],
+                code: [],
+                advisory: 'Built on zoid/post-robot - the buttons and card fields only accept PayPal domains.'
+            },
+            {
+                id: 'intercom',
+                name: 'Intercom',
+                url: [/^https:\/\/(?:widget\.intercom\.io|js\.intercomcdn\.com)\//],
+                code: [],
+                advisory: 'Messenger widget traffic. Usually noise.'
+            },
+            {
+                id: 'zendesk',
+                name: 'Zendesk',
+                url: [/^https:\/\/(?:static|ekr)\.zdassets\.com\//],
+                code: [],
+                advisory: 'Web widget traffic. Usually noise.'
+            },
+            {
+                id: 'hubspot',
+                name: 'HubSpot',
+                url: [/^https:\/\/js\.(?:hs-scripts\.com|hsforms\.net|usemessages\.com|hs-analytics\.net)\//],
+                code: [],
+                advisory: 'Forms and chat widget traffic. Usually noise.'
+            },
+            {
+                id: 'youtube',
+                name: 'YouTube player',
+                url: [/^https:\/\/www\.youtube\.com\/(?:iframe_api|s\/player\/)/, /\/www-widgetapi\.js/],
+                code: [],
+                advisory: 'IFrame player API - checks the origin against the YouTube hosts. Usually noise.'
+            },
+            {
+                id: 'vimeo',
+                name: 'Vimeo player',
+                url: [/^https:\/\/(?:player\.vimeo\.com\/api\/|f\.vimeocdn\.com\/)/],
+                code: [],
+                advisory: 'player.js - checks the origin against the Vimeo hosts. Usually noise.'
+            },
+            {
+                id: 'facebook',
+                name: 'Facebook SDK',
+                url: [/^https:\/\/connect\.facebook\.net\//],
+                code: [],
+                advisory: 'XD arbiter traffic between the SDK and facebook.com frames. Usually noise.'
+            },
+            {
+                id: 'twitter',
+                name: 'X / Twitter widgets',
+                url: [/^https:\/\/platform\.(?:twitter|x)\.com\/widgets/],
+                code: [],
+                advisory: 'Embedded post and button frames. Usually noise.'
+            }
+        ];
+
+        this.cache = new Map();
+        this.maxCacheSize = 500;
+    }
+
+    findByUrl(url) {
+        if (!url) return null;
+        return this.LIBRARIES.find(library => library.url.some(regex => regex.test(url))) || null;
+    }
+
+    findByCode(code) {
+        if (!code) return null;
+        return this.LIBRARIES.find(library => library.code.some(regex => regex.test(code))) || null;
+    }
+
+    // {id, name, advisory, matched, url} for a listener record, null when it's not a known library.
+    // Code signatures win - the library can be bundled into the page's own scripts
+    detect(listener) {
+        const documentUrl = this.stackParser.getDocumentUrl(listener);
+        const key = `${documentUrl || ''}\n${listener.stack || ''}\n${(listener.fullstack || []).join('\n')}\n${listener.listener || ''}`;
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        let result = null;
+        const byCode = this.findByCode(listener.listener);
+        if (byCode) {
+            result = { id: byCode.id, name: byCode.name, advisory: byCode.advisory, matched: 'code', url: null };
+        } else {
+            // Only the registering frame counts - a page's own handler added from inside an SDK
+            // callback still has the SDK further down its stack, and hiding it would lose it
+            const frame = this.stackParser.findPageFrame(listener.stack, listener.fullstack, documentUrl);
+            const url = frame && this.stackParser.cleanUrl(frame.url);
+            const byUrl = this.findByUrl(url);
+            if (byUrl) {
+                result = { id: byUrl.id, name: byUrl.name, advisory: byUrl.advisory, matched: 'url', url: url };
+            }
+        }
+
+        if (this.cache.size >= this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, result);
+        return result;
+    }
+}
+
+globalThis.LibraryDetector = LibraryDetector;
\ No newline at end of file
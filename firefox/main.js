@@ -6,12 +6,74 @@
     var originalFunctionToString = Function.prototype.toString;
     
     // Store original APIs
-    var originalAddEventListener = Window.prototype.addEventListener;
+    var originalAddEventListener = EventTarget.prototype.addEventListener;
+    var originalRemoveEventListener = EventTarget.prototype.removeEventListener;
     var originalPushState = History.prototype.pushState;
+    var originalReplaceState = History.prototype.replaceState;
     var originalMessagePortAddEventListener = MessagePort.prototype.addEventListener;
+    var OriginalBroadcastChannel = window.BroadcastChannel;
+    var OriginalWorker = window.Worker;
+    var OriginalSharedWorker = window.SharedWorker;
+    var originalPostMessage = window.postMessage;
+    var originalMessagePortPostMessage = MessagePort.prototype.postMessage;
+    var originalSetInterval = window.setInterval;
+    var originalSetTimeout = window.setTimeout;
+    var originalPerformanceNow = typeof performance != 'undefined' ? performance.now : null;
     
     // Extension identifier for our own listeners
     var EXTENSION_MARKER = '__FANCYTRACKER_INTERNAL__';
+
+    // Max characters of message data forwarded per message
+    var MAX_MESSAGE_DATA = 10000;
+
+    // Keys in outgoing data that look like credentials
+    var SENSITIVE_KEY_REGEX = /token|auth|session|secret|passw/i;
+
+    // URL of this script, used to drop our own frames from captured stacks
+    var ownScriptUrl = (function() {
+        try {
+            var match = (new Error('').stack || '').match(/(moz-extension|chrome-extension):\/\/[^\s):]+/);
+            return match ? match[0] : null;
+        } catch(e) {
+            return null;
+        }
+    })();
+    
+    // Listener ids are unique per frame load: <frame token>-<counter>
+    var frameToken = Math.random().toString(36).slice(2, 10);
+    var listenerCounter = 0;
+    
+    // Live message listener registrations: listener -> [{target, capture, id}]
+    var registrations = new WeakMap();
+    // Registrations made with {once: true}, dropped on the next message
+    var onceRegistrations = [];
+    
+    // Who handed a port over: port -> {origin, hops, via}
+    var portSenders = new WeakMap();
+    
+    // Script URLs of workers created in this frame: Worker or SharedWorker port -> url
+    var workerUrls = new WeakMap();
+    var workerCounter = 0;
+    
+    // Listener calls are batched for this long before they are reported (ms)
+    var INVOCATION_REPORT_DELAY = 1000;
+    
+    // Characters of the last message kept per listener
+    var MAX_INVOCATION_PREVIEW = 300;
+    
+    // How often installed hooks are checked for tampering (ms)
+    var HOOK_CHECK_INTERVAL = 2000;
+    
+    // How often the frame and its child frames are re-reported when they changed (ms)
+    var FRAME_REPORT_INTERVAL = 2000;
+    
+    // How long a window send waits for its message event before it's reported without it (ms)
+    var SEND_DELIVERY_TIMEOUT = 2000;
+    
+    // Settings pushed by bridge.js
+    var config = {
+        instrumentWorkers: false
+    };
     
     // Extension blacklist - known extension patterns
     var extension_blacklist = [
@@ -99,12 +161,142 @@
     
     // Send message to bridge
     var m = function(detail) {
-        window.postMessage({
+        originalPostMessage.call(window, {
             type: 'POSTMESSAGE_TRACKER_DATA',
             detail: detail
         }, '*');
     };
     
+    // Our hooks and the native functions they stand in for: hook -> original
+    var disguisedHooks = new WeakMap();
+    
+    // Give a hook the original's name and length; toString is answered by the toString hook below.
+    // Accessors with no native counterpart pass the name they should show instead, e.g. 'get ___hb'.
+    // Native methods have no own prototype and a function's can't be deleted, so those hooks are
+    // installed as a method forwarding to them - use the returned function, not the one passed in
+    var disguise = function(hook, original) {
+        if (typeof original != 'function' && typeof original != 'string') return hook;
+        var disguised = hook;
+        if (typeof original == 'function' && Object.prototype.hasOwnProperty.call(original, 'prototype')) {
+            // Constructors share the original's prototype, read-only like the native one
+            Object.defineProperty(hook, 'prototype', {value: original.prototype, writable: false});
+        } else {
+            disguised = {hook() {
+                return hook.apply(this, arguments);
+            }}.hook;
+        }
+        disguisedHooks.set(disguised, original);
+        try {
+            Object.defineProperty(disguised, 'name', {value: typeof original == 'string' ? original : original.name, configurable: true});
+            Object.defineProperty(disguised, 'length', {value: typeof original == 'string' ? hook.length : original.length, configurable: true});
+        } catch(e) {
+            // Ignore, toString still looks native
+        }
+        return disguised;
+    };
+    
+    // Function.prototype.toString of a realm, printing the original's source for our hooks
+    var toStringHook = function(nativeToString) {
+        return disguise(function toString() {
+            var original = disguisedHooks.has(this) ? disguisedHooks.get(this) : this;
+            if (typeof original == 'string') {
+                // Native accessors print without their get/set prefix
+                return 'function ' + original.replace(/^[gs]et /, '') + '() {\n    [native code]\n}';
+            }
+            return nativeToString.apply(original, arguments);
+        }, nativeToString);
+    };
+    Function.prototype.toString = toStringHook(originalFunctionToString);
+    
+    // Hooks watched for tampering: {name, holder, property, field, installed, original, seen}
+    var guardedHooks = [];
+    
+    // Watch a hook we installed as holder[property] (field: 'value', 'get' or 'set')
+    var guardHook = function(name, holder, property, field) {
+        try {
+            var installed = Object.getOwnPropertyDescriptor(holder, property);
+            var hook = installed && installed[field];
+            if (!disguisedHooks.has(hook)) return;
+            guardedHooks.push({
+                name: name,
+                holder: holder,
+                property: property,
+                field: field,
+                installed: installed,
+                original: disguisedHooks.get(hook),
+                seen: hook
+            });
+        } catch(e) {
+            // Ignore if the property can't be read
+        }
+    };
+    
+    // Native code that isn't one of our hooks, e.g. a clean copy taken from a fresh iframe
+    var isNativeFunction = function(fn) {
+        try {
+            return typeof fn == 'function' && !disguisedHooks.has(fn) &&
+                /\{\s*\[native code\]\s*\}\s*$/.test(originalFunctionToString.call(fn));
+        } catch(e) {
+            return false;
+        }
+    };
+    
+    // Replacements that keep our hook as a property (Zone.js __zone_symbol__OriginalDelegate,
+    // Sentry __sentry_original__) still call through it
+    var wrapsHook = function(fn, hook) {
+        try {
+            return Reflect.ownKeys(fn).some(function(key) {
+                var descriptor = Object.getOwnPropertyDescriptor(fn, key);
+                return !!descriptor && descriptor.value === hook;
+            });
+        } catch(e) {
+            return false;
+        }
+    };
+    
+    // Compare every watched hook with what the page has now. A revert to native code is
+    // undone, anything else is only reported - libraries wrap these APIs all the time.
+    var checkHooks = function() {
+        guardedHooks.forEach(function(entry) {
+            try {
+                var descriptor = Object.getOwnPropertyDescriptor(entry.holder, entry.property);
+                var current = descriptor ? descriptor[entry.field] : undefined;
+                if (current === entry.seen) return;
+                entry.seen = current;
+                
+                var hook = entry.installed[entry.field];
+                if (current === hook) return;
+                
+                var action = 'overwritten';
+                var restored = false;
+                if (current === undefined || current === entry.original || isNativeFunction(current)) {
+                    action = current === undefined ? 'deleted' : 'reverted';
+                    if (!descriptor || descriptor.configurable) {
+                        Object.defineProperty(entry.holder, entry.property, entry.installed);
+                        entry.seen = hook;
+                        restored = true;
+                    }
+                } else if (typeof current == 'function' && wrapsHook(current, hook)) {
+                    action = 'wrapped';
+                }
+                
+                var code = typeof current == 'function' ? originalFunctionToString.call(current) : String(current);
+                m({tampering: {
+                    hook: entry.name,
+                    action: action,
+                    restored: restored,
+                    code: code.length > 1000 ? code.slice(0, 1000) + '...' : code,
+                    hops: h(),
+                    href: location.href,
+                    frameTime: frameTime(),
+                    timestamp: Date.now()
+                }});
+            } catch(e) {
+                // Ignore hooks we can't inspect
+            }
+        });
+    };
+    
     // Get frame hops info
     var h = function(p) {
         var hops = "";
@@ -130,6 +322,74 @@
         return hops;
     };
     
+    // Milliseconds since this frame's navigation start - orders events within a frame even when
+    // the wall clock jumps. Taken from the original performance.now in case the page replaces it
+    var frameTime = function() {
+        return originalPerformanceNow ? Math.round(originalPerformanceNow.call(performance) * 10) / 10 : null;
+    };
+    
+    // Origin and security context of this frame - document.domain misses scheme and port.
+    // sandbox is only known when the embedding <iframe> is reachable (same-origin parent)
+    var frameContext = function() {
+        var context = {
+            origin: location.origin,
+            url: location.href,
+            isSecureContext: window.isSecureContext,
+            crossOriginIsolated: window.crossOriginIsolated
+        };
+        try {
+            if (window.frameElement) {
+                context.sandbox = window.frameElement.getAttribute('sandbox');
+            } else if (window.top == window) {
+                context.sandbox = null;
+            }
+        } catch(e) {
+            // Cross-origin parent
+        }
+        return context;
+    };
+    
+    // Report this frame and the frame elements it embeds for the popup's frame tree. A
+    // cross-origin frame can't see its own <iframe>, so children are described by their parent
+    var lastFrameReport = '';
+    var reportFrame = function() {
+        var hops = h();
+        if (hops == 'diffwin' || hops == 'unknown') return;
+        
+        var children = [];
+        try {
+            var elements = document.querySelectorAll('iframe, frame, object');
+            for (var i = 0; i < window.frames.length; i++) {
+                var child = {index: i, tag: null, name: null, id: null, sandbox: null, src: null};
+                for (var k = 0; k < elements.length; k++) {
+                    if (elements[k].contentWindow !== window.frames[i]) continue;
+                    child.tag = elements[k].tagName.toLowerCase();
+                    child.name = elements[k].getAttribute('name');
+                    child.id = elements[k].id || null;
+                    child.sandbox = elements[k].getAttribute('sandbox');
+                    child.src = elements[k].getAttribute('src') || elements[k].getAttribute('data');
+                    break;
+                }
+                children.push(child);
+            }
+        } catch(e) {
+            // Document not ready yet
+        }
+        
+        var frame = {
+            hops: hops,
+            url: location.href,
+            origin: location.origin,
+            name: window.name,
+            children: children
+        };
+        var report = JSON.stringify(frame);
+        if (report == lastFrameReport) return;
+        lastFrameReport = report;
+        frame.timestamp = Date.now();
+        m({frame: frame});
+    };
+    
     // Handle jQuery listeners
     var jq = function(instance) {
         if (!instance || !instance.message || !instance.message.length) return;
@@ -139,6 +399,13 @@
             var listener = e.handler; 
             if (!listener) continue;
             
+            // Raygun wraps jQuery handlers through TraceKit
+            var known = wrappedOriginals.get(listener);
+            if (known) {
+                m({log: 'Unwrapping ' + known.name + ' wrapper'});
+                listener = known.original;
+            }
+            
             // Check if this is from an extension
             if (isFromExtension(listener, '')) {
                 continue;
@@ -148,6 +415,9 @@
                 window: window.top == window ? 'top' : window.name,
                 hops: h(),
                 domain: document.domain,
+                context: frameContext(),
+                timestamp: Date.now(),
+                frameTime: frameTime(),
                 stack: 'jQuery',
                 listener: listener.toString()
             });
@@ -155,7 +425,7 @@
     };
     
     // Log listener with stack trace
-    var l = function(listener, pattern_before, additional_offset) {
+    var l = function(listener, pattern_before, additional_offset, extra) {
         var offset = 3 + (additional_offset || 0);
         var stack, fullstack;
         try { 
@@ -189,16 +459,146 @@
         }
         
         var listener_str = listener.__postmessagetrackername__ || listener.toString();
-        m({
+        var detail = {
             window: window.top == window ? 'top' : window.name,
             hops: h(),
             domain: document.domain,
+            context: frameContext(),
+            timestamp: Date.now(),
+            frameTime: frameTime(),
             stack: stack,
             fullstack: fullstack,
             listener: listener_str
+        };
+        if (extra) {
+            for (var key in extra) {
+                detail[key] = extra[key];
+            }
+        }
+        m(detail);
+    };
+    
+    // addEventListener's third argument: boolean capture or options object
+    var parseListenerOptions = function(options) {
+        if (options && typeof options == 'object') {
+            return {capture: !!options.capture, once: !!options.once, signal: options.signal || null};
+        }
+        return {capture: !!options, once: false, signal: null};
+    };
+    
+    // Find the live registration of a listener on a target, if any
+    var findRegistration = function(target, listener, capture) {
+        var entries = listener && registrations.get(listener);
+        if (!entries) return null;
+        for (var i = 0; i < entries.length; i++) {
+            if (entries[i].target === target && entries[i].capture === capture) {
+                return entries[i];
+            }
+        }
+        return null;
+    };
+    
+    // Remember a registration, reusing the id when the browser would ignore a duplicate
+    var trackRegistration = function(target, listener, options) {
+        var existing = findRegistration(target, listener, options.capture);
+        if (existing) return existing;
+        
+        var entry = {target: target, listener: listener, capture: options.capture, id: frameToken + '-' + (++listenerCounter)};
+        var entries = registrations.get(listener) || [];
+        entries.push(entry);
+        registrations.set(listener, entries);
+        
+        if (options.once) {
+            onceRegistrations.push(entry);
+        }
+        if (options.signal) {
+            originalAddEventListener.call(options.signal, 'abort', function() {
+                untrackRegistration(entry, 'signal');
+            }, {once: true});
+        }
+        return entry;
+    };
+    
+    // Forget a registration and tell the background it is gone
+    var untrackRegistration = function(entry, reason) {
+        var entries = registrations.get(entry.listener);
+        if (!entries || entries.indexOf(entry) === -1) return;
+        
+        entries.splice(entries.indexOf(entry), 1);
+        if (onceRegistrations.indexOf(entry) !== -1) {
+            onceRegistrations.splice(onceRegistrations.indexOf(entry), 1);
+        }
+        m({
+            removed: {
+                id: entry.id,
+                reason: reason,
+                frameTime: frameTime(),
+                timestamp: Date.now()
+            }
         });
     };
     
+    // Calls per registration id since the last report, with the last message seen
+    var pendingInvocations = {};
+    var invocationTimer = null;
+    
+    var flushInvocations = function() {
+        invocationTimer = null;
+        var invocations = [];
+        for (var id in pendingInvocations) {
+            var pending = pendingInvocations[id];
+            var serialized = serializeData(pending.data);
+            invocations.push({
+                id: id,
+                calls: pending.calls,
+                origin: pending.origin,
+                data: serialized.data.length > MAX_INVOCATION_PREVIEW ? serialized.data.substring(0, MAX_INVOCATION_PREVIEW) : serialized.data,
+                dataType: serialized.dataType,
+                truncated: serialized.dataSize > MAX_INVOCATION_PREVIEW,
+                timestamp: pending.timestamp
+            });
+        }
+        pendingInvocations = {};
+        if (invocations.length) {
+            m({invocations: invocations});
+        }
+    };
+    
+    // Count a call of a registered listener - data is only serialized when the batch is sent.
+    // Our own reports reach every window listener too: counting them would report itself forever
+    var countInvocation = function(entry, e) {
+        try {
+            if (e && isFromIgnoredExtension(e.data)) return;
+            var pending = pendingInvocations[entry.id] || (pendingInvocations[entry.id] = {calls: 0});
+            pending.calls++;
+            pending.origin = (e && e.origin) || '';
+            pending.data = e ? e.data : undefined;
+            pending.timestamp = Date.now();
+            if (!invocationTimer) {
+                invocationTimer = originalSetTimeout.call(window, flushInvocations, INVOCATION_REPORT_DELAY);
+            }
+        } catch(error) {
+            // Never get in the way of the page's listener
+        }
+    };
+    
+    // The function actually handed to the browser for a registration. Reused for duplicates so
+    // the browser still ignores them, and removeEventListener() is translated to it.
+    // Listener objects get handleEvent looked up per call, like the browser does.
+    var wrapRegistration = function(entry) {
+        if (!entry.wrapper) {
+            var listener = entry.listener;
+            entry.wrapper = function(e) {
+                countInvocation(entry, e);
+                if (typeof listener == "function") {
+                    return listener.apply(this, arguments);
+                }
+                return listener.handleEvent.apply(listener, arguments);
+            };
+        }
+        return entry.wrapper;
+    };
+    
     // Check jQuery instances
     var jqc = function(key) {
         if (typeof window[key] == 'function' && typeof window[key]._data == 'function') {
@@ -229,39 +629,308 @@
         loaded = true;
     };
     
-    // Hook History.pushState
-    History.prototype.pushState = function(state, title, url) {
+    // Soft navigations of the top frame split the tab's listeners into route segments.
+    // Reported once the URL changed - replaceState and Navigation API replaces only rename the current route.
+    // pushState tells the background the next tab update is no reload, so it is only sent for a real URL
+    // change: a stale flag would keep the next full navigation from clearing the tab
+    var lastHref = location.href;
+    var reportNavigation = function(kind, replace) {
+        if (window.top != window || location.href == lastHref) return;
+        var from = lastHref;
+        lastHref = location.href;
         m({pushState: true});
-        return originalPushState.apply(this, arguments);
+        m({navigation: {kind: kind, replace: !!replace, url: location.href, from: from, timestamp: Date.now(), frameTime: frameTime()}});
+    };
+    
+    // Hook History.pushState/replaceState
+    History.prototype.pushState = disguise(function(state, title, url) {
+        try {
+            return originalPushState.apply(this, arguments);
+        } finally {
+            reportNavigation('pushState', false);
+        }
+    }, originalPushState);
+    History.prototype.replaceState = disguise(function(state, title, url) {
+        try {
+            return originalReplaceState.apply(this, arguments);
+        } finally {
+            reportNavigation('replaceState', true);
+        }
+    }, originalReplaceState);
+    
+    var onHistoryTraversal = function(e) {
+        reportNavigation(e.type, false);
+    };
+    
+    // Navigation API (navigation.navigate(), intercepted link clicks, traversals) - history
+    // methods above report first, so their duplicate entry changes are dropped by the URL check
+    var onCurrentEntryChange = function(e) {
+        reportNavigation('navigation.' + (e.navigationType || 'navigate'), e.navigationType == 'replace');
+    };
+    
+    // Find a property's descriptor and the object holding it along the prototype chain
+    var findPropertyDescriptor = function(object, property) {
+        while (object) {
+            var descriptor = Object.getOwnPropertyDescriptor(object, property);
+            if (descriptor) return {holder: object, descriptor: descriptor};
+            object = Object.getPrototypeOf(object);
+        }
+        return null;
+    };
+    
+    // The window's current onmessage handler: {listener, registration}
+    var windowHandler = null;
+    
+    // Record window.onmessage - a new handler replaces the old record, null marks it removed
+    var recordWindowHandler = function(listener, extra) {
+        if (windowHandler && windowHandler.listener === listener) return;
+        if (windowHandler) {
+            untrackRegistration(windowHandler.registration, typeof listener == "function" ? 'replaced' : 'onmessage');
+            windowHandler = null;
+        }
+        if (typeof listener == "function" && !isExtensionListener(listener)) {
+            // A capture value of its own keeps the handler apart from addEventListener registrations
+            var registration = trackRegistration(window, listener, {capture: 'onmessage', once: false, signal: null});
+            windowHandler = {listener: listener, registration: registration};
+            
+            var detail = {id: registration.id, property: 'onmessage'};
+            for (var key in extra) {
+                detail[key] = extra[key];
+            }
+            l(listener, null, 1, detail);
+        }
+    };
+    
+    // Hook onmessage through its descriptor - covers window, self and globalThis alike
+    var windowOnmessage = findPropertyDescriptor(window, 'onmessage');
+    var readWindowHandler = function() {
+        return windowOnmessage ? windowOnmessage.descriptor.get.call(window) : null;
+    };
+    
+    // <body onmessage="..."> and setAttribute() compile the handler without any setter call
+    var syncWindowHandler = function() {
+        try {
+            var listener = readWindowHandler();
+            if (listener !== (windowHandler ? windowHandler.listener : null)) {
+                recordWindowHandler(listener, {
+                    propertySource: 'attribute',
+                    stack: 'onmessage attribute',
+                    fullstack: []
+                });
+            }
+        } catch(e) {
+            // Ignore if the handler can't be read
+        }
     };
     
-    // Hook onmessage setter
     try {
-        var original_setter = window.__lookupSetter__('onmessage');
-        if (original_setter) {
-            window.__defineSetter__('onmessage', function(listener) {
-                if (listener && !isFromExtension(listener, '')) {
-                    l(listener, null, 0);
-                }
-                original_setter(listener);
+        if (windowOnmessage && windowOnmessage.descriptor.set && windowOnmessage.descriptor.configurable) {
+            var onmessageDescriptor = windowOnmessage.descriptor;
+            Object.defineProperty(windowOnmessage.holder, 'onmessage', {
+                configurable: true,
+                enumerable: onmessageDescriptor.enumerable,
+                get: onmessageDescriptor.get,
+                set: disguise(function(listener) {
+                    if (this === window || this === undefined) {
+                        recordWindowHandler(listener);
+                    }
+                    return onmessageDescriptor.set.call(this === undefined ? window : this, listener);
+                }, onmessageDescriptor.set)
             });
+            // A handler may already be there if we got injected late
+            var existingHandler = readWindowHandler();
+            if (typeof existingHandler == "function") {
+                recordWindowHandler(existingHandler, {propertySource: 'existing', stack: 'set before FancyTracker loaded', fullstack: []});
+            }
         }
     } catch(e) {
         // Ignore if can't hook onmessage setter
     }
     
+    // body.onmessage and frameset.onmessage forward to the window's handler
+    [window.HTMLBodyElement, window.HTMLFrameSetElement].forEach(function(element) {
+        try {
+            var descriptor = element && Object.getOwnPropertyDescriptor(element.prototype, 'onmessage');
+            if (!descriptor || !descriptor.set) return;
+            var source = element === window.HTMLBodyElement ? 'body' : 'frameset';
+            Object.defineProperty(element.prototype, 'onmessage', {
+                configurable: true,
+                enumerable: descriptor.enumerable,
+                get: descriptor.get,
+                set: disguise(function(listener) {
+                    recordWindowHandler(listener, {propertySource: source});
+                    return descriptor.set.call(this, listener);
+                }, descriptor.set)
+            });
+        } catch(e) {
+            // Ignore if can't hook the element handler
+        }
+    });
+    
+    // Wrappers that keep no reference back to what they wrap: wrapper -> {original, name}
+    var wrappedOriginals = new WeakMap();
+    
+    // Honeybadger (func.___hb) and TrackJS (func.__trackjs_state__) only store the wrapper on the original
+    var trapWrapperProperty = function(property, name) {
+        try {
+            if (Object.prototype.hasOwnProperty.call(Function.prototype, property)) return;
+            Object.defineProperty(Function.prototype, property, {
+                configurable: true,
+                get: disguise(function() {
+                    return undefined;
+                }, 'get ' + property),
+                set: disguise(function(wrapper) {
+                    try {
+                        Object.defineProperty(this, property, {value: wrapper, writable: true, enumerable: true, configurable: true});
+                    } catch(e) {
+                        return;
+                    }
+                    if (typeof wrapper == 'function' && wrapper !== this) {
+                        wrappedOriginals.set(wrapper, {original: this, name: name});
+                    }
+                }, 'set ' + property)
+            });
+        } catch(e) {
+            // Ignore if Function.prototype is locked down
+        }
+    };
+    
+    // Raygun's TraceKit.wrap keeps the original in a closure - record the wrappers it hands out
+    var patchTraceKit = function(value) {
+        if (value && typeof value.wrap == 'function' && !disguisedHooks.has(value.wrap)) {
+            var originalWrap = value.wrap;
+            value.wrap = disguise(function(func) {
+                var wrapper = originalWrap.apply(this, arguments);
+                if (typeof func == 'function' && typeof wrapper == 'function' && wrapper !== func) {
+                    wrappedOriginals.set(wrapper, {original: func, name: 'raygun'});
+                }
+                return wrapper;
+            }, originalWrap);
+        }
+    };
+    
+    // Patch TraceKit once it's published, or right away when it's there already
+    var trapTraceKit = function() {
+        try {
+            if ('TraceKit' in window) {
+                patchTraceKit(window.TraceKit);
+                return;
+            }
+            var traceKit;
+            Object.defineProperty(window, 'TraceKit', {
+                configurable: true,
+                get: disguise(function() {
+                    return traceKit;
+                }, 'get TraceKit'),
+                set: disguise(function(value) {
+                    traceKit = value;
+                    patchTraceKit(value);
+                }, 'set TraceKit')
+            });
+        } catch(e) {
+            // Ignore if TraceKit can't be patched
+        }
+    };
+    
+    // The traps change what 'TraceKit' in window and '___hb' in fn answer, so they only go in
+    // when the library's own script is added - it runs after the insertion is observed
+    var WRAPPER_LIBRARY_SCRIPTS = [
+        {regex: /honeybadger/i, install: function() { trapWrapperProperty('___hb', 'honeybadger'); }},
+        {regex: /trackjs/i, install: function() { trapWrapperProperty('__trackjs_state__', 'trackjs'); }},
+        {regex: /raygun/i, install: trapTraceKit}
+    ];
+    var watchWrapperLibraries = function() {
+        try {
+            var pending = WRAPPER_LIBRARY_SCRIPTS.slice();
+            var observer = new MutationObserver(function(records) {
+                records.forEach(function(record) {
+                    for (var i = 0; i < record.addedNodes.length; i++) {
+                        var node = record.addedNodes[i];
+                        if (node.nodeName != 'SCRIPT' || !node.src) continue;
+                        pending = pending.filter(function(library) {
+                            if (!library.regex.test(node.src)) return true;
+                            library.install();
+                            return false;
+                        });
+                    }
+                });
+                if (!pending.length) observer.disconnect();
+            });
+            observer.observe(document, {childList: true, subtree: true});
+        } catch(e) {
+            // Ignore if the document can't be observed
+        }
+    };
+    watchWrapperLibraries();
+    
+    // Zone.js keeps onmessage in a symbol and addEventListener listeners as tasks on the target
+    var ZONE_PROPERTY_SYMBOL = '__zone_symbol__ON_PROPERTYmessage';
+    var ZONE_TASK_SYMBOLS = ['__zone_symbol__messagefalse', '__zone_symbol__messagetrue'];
+    
+    var hasZoneTasks = function(target) {
+        return ZONE_TASK_SYMBOLS.some(function(symbol) {
+            return Array.isArray(target[symbol]);
+        });
+    };
+    
+    // Log each listener Zone.js stores as a task - the task list is pushed to from inside
+    // Zone's addEventListener, so the stack still points at the page's call
+    var watchZoneTasks = function(target) {
+        ZONE_TASK_SYMBOLS.forEach(function(symbol) {
+            var tasks = target[symbol];
+            if (!Array.isArray(tasks) || tasks.__postmessagetrackerwatched__) return;
+            
+            var logTask = function(task) {
+                var delegate = task && (task.originalDelegate || task.callback);
+                if (delegate && typeof delegate != "function" && typeof delegate.handleEvent == "function") {
+                    delegate = delegate.handleEvent;
+                }
+                if (typeof delegate == "function" && !isFromExtension(delegate, '')) {
+                    m({log: 'Unwrapping zone wrapper'});
+                    l(delegate, false, 1);
+                }
+            };
+            
+            try {
+                Object.defineProperty(tasks, '__postmessagetrackerwatched__', {value: true});
+                Object.defineProperty(tasks, 'push', {
+                    configurable: true,
+                    writable: true,
+                    value: disguise(function() {
+                        for (var i = 0; i < arguments.length; i++) {
+                            logTask(arguments[i]);
+                        }
+                        return Array.prototype.push.apply(this, arguments);
+                    }, Array.prototype.push)
+                });
+                tasks.forEach(logTask);
+            } catch(e) {
+                // Ignore if the task list can't be patched
+            }
+        });
+    };
+    
     // Wrapper detection function - enhanced from original
-    var c = function(listener) {
+    var c = function(listener, target) {
         try {
             var listener_str = originalFunctionToString.apply(listener);
+            var known = wrappedOriginals.get(listener);
             
             // Enhanced wrapper detection
-            if (listener_str.match(/\.deep.*apply.*captureException/s)) return 'raven';
+            if (known) return known.name;
+            else if (listener_str.match(/\.deep.*apply.*captureException/s)) return 'raven';
             else if (listener_str.match(/arguments.*(start|typeof).*err.*finally.*end/s) && listener["nr@original"]) return 'newrelic';
             else if (listener_str.match(/rollbarContext.*rollbarWrappedError/s) && listener._isWrap) return 'rollbar';
             else if (listener_str.match(/autoNotify.*(unhandledException|notifyException)/s) && typeof listener.bugsnag == "function") return 'bugsnag';
             else if (listener_str.match(/call.*arguments.*typeof.*apply/s) && typeof listener.__sentry_original__ == "function") return 'sentry';
             else if (listener_str.match(/function.*function.*\.apply.*arguments/s) && typeof listener.__trace__ == "function") return 'bugsnag2';
+            else if (listener.__lr__ === true && typeof listener.__inner__ == "function") return 'logrocket';
+            else if (listener_str.match(/\.fns\b/) && (typeof listener.fns == "function" || Array.isArray(listener.fns))) return 'vue2';
+            else if (listener_str.match(/_vts/) && (typeof listener.value == "function" || Array.isArray(listener.value))) return 'vue3';
+            else if (target && typeof window.Zone == "function") {
+                if (listener_str.match(/beforeunload/) && typeof target[ZONE_PROPERTY_SYMBOL] == "function") return 'zone-onmessage';
+                if (listener_str.match(/return\s+[\w$]+\(\s*this\s*,/) && hasZoneTasks(target)) return 'zone';
+            }
             
             return false;
         } catch(error) {
@@ -269,14 +938,255 @@
         }
     };
 
+    // Serialize message data into a size-capped preview string
+    var serializeData = function(data) {
+        var type = data === null ? 'null' : typeof data;
+        var value;
+        try {
+            if (typeof data == 'string') {
+                value = data;
+            } else if (type == 'object' || type == 'number' || type == 'boolean') {
+                value = JSON.stringify(data);
+                type = 'json';
+            }
+        } catch(e) {
+            // Cyclic or non-JSON data (Blob, Map, ...)
+        }
+        if (typeof value != 'string') {
+            try {
+                value = String(data);
+            } catch(e) {
+                value = '[unserializable ' + type + ']';
+            }
+        }
+        var size = value.length;
+        return {
+            data: size > MAX_MESSAGE_DATA ? value.substring(0, MAX_MESSAGE_DATA) : value,
+            dataType: type,
+            dataSize: size,
+            truncated: size > MAX_MESSAGE_DATA
+        };
+    };
+
+    // Remember the sender of every port transferred with a message
+    var rememberPortSenders = function(e, kind) {
+        try {
+            if (!e.ports || !e.ports.length) return;
+            var sender = {
+                origin: e.origin || '',
+                hops: kind == 'window' ? h(e.source) : kind,
+                via: kind
+            };
+            for (var i = 0; i < e.ports.length; i++) {
+                if (!portSenders.has(e.ports[i])) {
+                    portSenders.set(e.ports[i], sender);
+                }
+            }
+        } catch(error) {
+            // Ignore inaccessible ports
+        }
+    };
+    
+    // Ports never seen in a message were created in this frame
+    var describePortSender = function(port) {
+        return portSenders.get(port) || {
+            origin: location.origin,
+            hops: h(),
+            via: 'created'
+        };
+    };
+
+    // Report a received message event to the bridge
+    var recordMessage = function(e, kind) {
+        rememberPortSenders(e, kind);
+        try {
+            var serialized = serializeData(e.data);
+            m({
+                message: {
+                    direction: 'in',
+                    kind: kind,
+                    data: serialized.data,
+                    dataType: serialized.dataType,
+                    dataSize: serialized.dataSize,
+                    truncated: serialized.truncated,
+                    origin: e.origin || '',
+                    sourceHops: kind == 'window' ? h(e.source) : kind,
+                    targetHops: h(),
+                    channel: kind == 'broadcast' ? e.currentTarget.name : undefined,
+                    window: window.top == window ? 'top' : window.name,
+                    domain: document.domain,
+                    ports: e.ports ? e.ports.length : 0,
+                    frameTime: frameTime(),
+                    timestamp: Date.now()
+                }
+            });
+        } catch(error) {
+            // Ignore recording errors
+        }
+    };
+
+    // Find credential-looking keys in message data (depth limited)
+    var findSensitiveKeys = function(data, depth, found) {
+        found = found || [];
+        depth = depth || 0;
+        if (depth > 4 || found.length >= 10) return found;
+        try {
+            if (typeof data == 'string') {
+                // Stringified JSON is common, scan it as well
+                if (depth === 0 && data.charAt(0) == '{') {
+                    try {
+                        return findSensitiveKeys(JSON.parse(data), depth + 1, found);
+                    } catch(e) {
+                        // Not JSON
+                    }
+                }
+                var match = data.match(SENSITIVE_KEY_REGEX);
+                if (depth === 0 && match) found.push(match[0]);
+            } else if (data && typeof data == 'object') {
+                for (var key in data) {
+                    if (!Object.prototype.hasOwnProperty.call(data, key)) continue;
+                    if (SENSITIVE_KEY_REGEX.test(key) && found.indexOf(key) === -1) {
+                        found.push(key);
+                    }
+                    findSensitiveKeys(data[key], depth + 1, found);
+                }
+            }
+        } catch(e) {
+            // Ignore inaccessible data
+        }
+        return found;
+    };
+
+    // Capture the calling stack without our own frames
+    var callerStack = function() {
+        var stack;
+        try {
+            throw new Error('');
+        } catch (error) {
+            stack = error.stack || '';
+        }
+        var fullstack = stack.split('\n').map(function(line) { return line.trim(); }).filter(function(line) {
+            return line.length && line != 'Error' && !(ownScriptUrl && line.indexOf(ownScriptUrl) !== -1);
+        });
+        return {
+            stack: fullstack[0] || 'Unknown stack',
+            fullstack: fullstack
+        };
+    };
+
+    // Sends to this window wait for their message event: [{message, key, queued}]
+    var pendingSends = [];
+    var pendingSendsTimer = null;
+    
+    // Sends that never arrived (targetOrigin didn't match) keep this frame as the sender
+    var flushPendingSends = function() {
+        pendingSendsTimer = null;
+        var now = Date.now();
+        pendingSends = pendingSends.filter(function(entry) {
+            if (now - entry.queued < SEND_DELIVERY_TIMEOUT) return true;
+            m({message: entry.message});
+            return false;
+        });
+        if (pendingSends.length) {
+            pendingSendsTimer = originalSetTimeout.call(window, flushPendingSends, SEND_DELIVERY_TIMEOUT);
+        }
+    };
+    
+    // The event's source is the window whose script called postMessage - report the waiting send with it
+    var resolvePendingSend = function(e) {
+        if (!pendingSends.length) return;
+        var serialized = serializeData(e.data);
+        var key = serialized.dataType + ':' + serialized.data;
+        for (var i = 0; i < pendingSends.length; i++) {
+            if (pendingSends[i].key == key) {
+                var message = pendingSends.splice(i, 1)[0].message;
+                message.sourceHops = h(e.source);
+                try {
+                    message.window = e.source.top == e.source ? 'top' : e.source.name;
+                    message.domain = e.source.document.domain;
+                } catch(error) {
+                    // Keep this frame's details
+                }
+                m({message: message});
+                return;
+            }
+        }
+    };
+
+    // Report an outgoing postMessage call to the bridge. With awaitSource the report waits for the
+    // message to reach this window, which tells who sent it
+    var recordOutgoing = function(data, targetOrigin, target, kind, transfer, awaitSource) {
+        try {
+            if (isFromIgnoredExtension(data)) {
+                return;
+            }
+            
+            // postMessage(data, {targetOrigin, transfer}) form
+            if (targetOrigin && typeof targetOrigin == 'object') {
+                transfer = targetOrigin.transfer;
+                targetOrigin = targetOrigin.targetOrigin;
+            }
+            if (kind == 'window' && (targetOrigin === undefined || targetOrigin === null)) {
+                targetOrigin = '/';
+            }
+            
+            var serialized = serializeData(data);
+            var caller = callerStack();
+            var message = {
+                direction: 'out',
+                kind: kind,
+                data: serialized.data,
+                dataType: serialized.dataType,
+                dataSize: serialized.dataSize,
+                truncated: serialized.truncated,
+                targetOrigin: kind == 'window' ? String(targetOrigin) : '',
+                wildcard: targetOrigin === '*',
+                sensitiveKeys: findSensitiveKeys(data),
+                sourceHops: h(),
+                targetHops: kind == 'window' ? h(target) : kind,
+                channel: kind == 'broadcast' ? target.name : undefined,
+                window: window.top == window ? 'top' : window.name,
+                domain: document.domain,
+                ports: transfer && transfer.length ? transfer.length : 0,
+                stack: caller.stack,
+                fullstack: caller.fullstack,
+                frameTime: frameTime(),
+                timestamp: Date.now()
+            };
+            if (awaitSource) {
+                pendingSends.push({message: message, key: serialized.dataType + ':' + serialized.data, queued: Date.now()});
+                if (!pendingSendsTimer) {
+                    pendingSendsTimer = originalSetTimeout.call(window, flushPendingSends, SEND_DELIVERY_TIMEOUT);
+                }
+            } else {
+                m({message: message});
+            }
+        } catch(error) {
+            // Ignore recording errors
+        }
+    };
+
+    // {once: true} listeners are gone after any message reaches their target
+    var dropOnceRegistrations = function(target) {
+        if (onceRegistrations.length) {
+            onceRegistrations.slice().forEach(function(entry) {
+                if (entry.target === target) untrackRegistration(entry, 'once');
+            });
+        }
+    };
+
     // Console logging functions
     var onmsgport = function(e) {
+        dropOnceRegistrations(e.currentTarget);
+        
         try {
             // Skip messages from ignored extensions
             if (isFromIgnoredExtension(e.data)) {
                 return;
             }
 
+            recordMessage(e, 'port');
+
             var p = (e.ports && e.ports.length ? '%cport' + e.ports.length + '%c ' : '');
             var msg = '%cport%c→%c' + h(e.source) + '%c ' + p + (typeof e.data == 'string' ? e.data : 'j ' + JSON.stringify(e.data));
             if (p.length) {
@@ -289,13 +1199,40 @@
         }
     };
     
+    var onmsgbroadcast = function(e) {
+        dropOnceRegistrations(e.currentTarget);
+        
+        try {
+            if (isFromIgnoredExtension(e.data)) {
+                return;
+            }
+
+            recordMessage(e, 'broadcast');
+
+            var msg = '%cbroadcast%c→%c' + e.currentTarget.name + '%c ' + (typeof e.data == 'string' ? e.data : 'j ' + JSON.stringify(e.data));
+            console.log(msg, "color: blue", '', "color: purple", '');
+        } catch(error) {
+            // Ignore console errors
+        }
+    };
+    
     var onmsg = function(e) {
+        dropOnceRegistrations(window);
+        // onmessage handlers can't be wrapped without changing what the property returns -
+        // any message reaching the window reaches its handler
+        if (windowHandler) {
+            countInvocation(windowHandler.registration, e);
+        }
+        
         try {
             // Skip messages from ignored extensions
             if (isFromIgnoredExtension(e.data)) {
                 return;
             }
-            
+
+            resolvePendingSend(e);
+            recordMessage(e, 'window');
+
             var p = (e.ports && e.ports.length ? '%cport' + e.ports.length + '%c ' : '');
             var msg = '%c' + h(e.source) + '%c→%c' + h() + '%c ' + p + (typeof e.data == 'string' ? e.data : 'j ' + JSON.stringify(e.data));
             if (p.length) {
@@ -311,15 +1248,559 @@
     // Mark our own listeners
     onmsg[EXTENSION_MARKER] = true;
     onmsgport[EXTENSION_MARKER] = true;
+    onmsgbroadcast[EXTENSION_MARKER] = true;
+    
+    // Message targets other than windows: [{proto, add(target, listener, options)}]
+    var messageTargetHooks = [];
+    
+    // Functions are called directly, listener objects through their handleEvent method
+    var resolveListener = function(listener) {
+        if (typeof listener == "function") {
+            return isExtensionListener(listener) ? null : {fn: listener, extra: {}};
+        }
+        try {
+            if (listener && typeof listener == "object" && typeof listener.handleEvent == "function") {
+                var constructor = listener.constructor;
+                return isExtensionListener(listener.handleEvent) ? null : {
+                    fn: listener.handleEvent,
+                    extra: {
+                        handleEvent: true,
+                        handleEventObject: (constructor && constructor.name) || 'Object'
+                    }
+                };
+            }
+        } catch(e) {
+            // Inaccessible listener object
+        }
+        return null;
+    };
     
-    // Hook MessagePort
-    MessagePort.prototype.addEventListener = function(type, listener, useCapture) {
-        if (!this.__postmessagetrackername__) {
-            this.__postmessagetrackername__ = true;
-            onmsgport[EXTENSION_MARKER] = true;
-            this.addEventListener('message', onmsgport);
+    // Record onmessage and message listeners added on a non-window message target.
+    // logger is attached once per target, describe(target) adds target specific fields.
+    var hookMessageTarget = function(proto, kind, logger, describe) {
+        var originalAdd = originalAddEventListener;
+        var originalOnmessage = Object.getOwnPropertyDescriptor(proto, 'onmessage');
+        // Current onmessage registration per target
+        var handlers = new WeakMap();
+        
+        var watch = function(target) {
+            if (!target.__postmessagetrackername__) {
+                target.__postmessagetrackername__ = true;
+                originalAdd.call(target, 'message', logger);
+                originalAdd.call(target, 'message', countHandler);
+            }
+        };
+        
+        // Count onmessage handlers per message, like window.onmessage in onmsg
+        var countHandler = function(e) {
+            var registration = handlers.get(this);
+            if (registration) {
+                countInvocation(registration, e);
+            }
+        };
+        countHandler[EXTENSION_MARKER] = true;
+        
+        var detail = function(target, registration, extra) {
+            var result = describe(target);
+            result.id = registration.id;
+            result.target = result.target || kind;
+            for (var key in extra) {
+                result[key] = extra[key];
+            }
+            return result;
+        };
+        
+        // Called from the EventTarget hook for message listeners on this kind of target
+        messageTargetHooks.push({
+            proto: proto,
+            add: function(target, listener, options) {
+                watch(target);
+                
+                var resolved = resolveListener(listener);
+                if (resolved) {
+                    var registration = trackRegistration(target, listener, options);
+                    resolved.extra.once = options.once;
+                    l(resolved.fn, false, 1, detail(target, registration, resolved.extra));
+                    return registration;
+                }
+                return null;
+            }
+        });
+        
+        if (originalOnmessage && originalOnmessage.set) {
+            Object.defineProperty(proto, 'onmessage', {
+                configurable: true,
+                enumerable: originalOnmessage.enumerable,
+                get: originalOnmessage.get,
+                set: disguise(function(listener) {
+                    watch(this);
+                    
+                    var previous = handlers.get(this);
+                    if (previous && previous.listener !== listener) {
+                        handlers.delete(this);
+                        untrackRegistration(previous, typeof listener == "function" ? 'replaced' : 'onmessage');
+                    } else if (previous) {
+                        return originalOnmessage.set.call(this, listener);
+                    }
+                    if (typeof listener == "function" && !isFromExtension(listener, '')) {
+                        // A capture value of its own keeps the handler apart from addEventListener registrations
+                        var registration = trackRegistration(this, listener, {capture: 'onmessage', once: false, signal: null});
+                        handlers.set(this, registration);
+                        l(listener, null, 0, detail(this, registration, {property: 'onmessage'}));
+                    }
+                    return originalOnmessage.set.call(this, listener);
+                }, originalOnmessage.set)
+            });
+            guardHook(proto.constructor.name + '.prototype.onmessage', proto, 'onmessage', 'set');
+        }
+        
+        return watch;
+    };
+    
+    // Hook MessagePort - assigning port.onmessage also starts the port
+    hookMessageTarget(MessagePort.prototype, 'port', onmsgport, function(port) {
+        if (workerUrls.has(port)) {
+            return {target: 'sharedworker', workerUrl: workerUrls.get(port)};
+        }
+        return {portSender: describePortSender(port)};
+    });
+    
+    // Hook BroadcastChannel - the constructor attaches the logger so every channel's traffic is seen
+    if (OriginalBroadcastChannel) {
+        var watchChannel = hookMessageTarget(OriginalBroadcastChannel.prototype, 'broadcast', onmsgbroadcast, function(channel) {
+            return {channel: channel.name};
+        });
+        var originalBroadcastPostMessage = OriginalBroadcastChannel.prototype.postMessage;
+        
+        window.BroadcastChannel = disguise(function BroadcastChannel(name) {
+            var channel = Reflect.construct(OriginalBroadcastChannel, arguments, new.target || OriginalBroadcastChannel);
+            watchChannel(channel);
+            m({log: 'BroadcastChannel opened: ' + channel.name});
+            return channel;
+        }, OriginalBroadcastChannel);
+        
+        OriginalBroadcastChannel.prototype.postMessage = disguise(function(message) {
+            recordOutgoing(message, null, this, 'broadcast');
+            return originalBroadcastPostMessage.apply(this, arguments);
+        }, originalBroadcastPostMessage);
+    }
+    
+    // Logger for worker message targets
+    var targetLogger = function(kind) {
+        var logger = function(e) {
+            dropOnceRegistrations(e.currentTarget);
+            
+            try {
+                if (isFromIgnoredExtension(e.data)) {
+                    return;
+                }
+
+                recordMessage(e, kind);
+
+                var msg = '%c' + kind + '%c→%c' + h() + '%c ' + (typeof e.data == 'string' ? e.data : 'j ' + JSON.stringify(e.data));
+                console.log(msg, "color: blue", '', "color: green", '');
+            } catch(error) {
+                // Ignore console errors
+            }
+        };
+        logger[EXTENSION_MARKER] = true;
+        return logger;
+    };
+    
+    var resolveScriptUrl = function(url) {
+        try {
+            return new URL(String(url), document.baseURI).href;
+        } catch(e) {
+            return String(url);
+        }
+    };
+    
+    // Runs inside an instrumented dedicated worker (serialized into a blob) and reports its
+    // message listeners back over a private BroadcastChannel before loading the real script
+    var workerBootstrap = function(channelName, scriptUrl) {
+        var channel = new BroadcastChannel(channelName);
+        var ownUrl = self.location.href;
+        
+        // self.location is the blob: URL now - relative URLs resolve against the real script instead
+        var resolve = function(url) {
+            try {
+                return new URL(String(url), scriptUrl).href;
+            } catch(e) {
+                return url;
+            }
+        };
+        var originalImportScripts = self.importScripts;
+        self.importScripts = function() {
+            return originalImportScripts.apply(self, Array.prototype.map.call(arguments, resolve));
+        };
+        if (self.fetch) {
+            var originalFetch = self.fetch;
+            self.fetch = function(input, init) {
+                return originalFetch.call(self, typeof input == 'string' || input instanceof URL ? resolve(input) : input, init);
+            };
+        }
+        if (self.XMLHttpRequest) {
+            var originalOpen = XMLHttpRequest.prototype.open;
+            XMLHttpRequest.prototype.open = function(method, url) {
+                var args = Array.prototype.slice.call(arguments);
+                args[1] = resolve(url);
+                return originalOpen.apply(this, args);
+            };
+        }
+        if (self.Worker) {
+            var NestedWorker = self.Worker;
+            self.Worker = function Worker(url, options) {
+                return new NestedWorker(resolve(url), options);
+            };
+            self.Worker.prototype = NestedWorker.prototype;
+        }
+        
+        var report = function(listener, property) {
+            var stack;
+            try {
+                throw new Error('');
+            } catch (error) {
+                stack = error.stack || '';
+            }
+            var fullstack = stack.split('\n').map(function(line) { return line.trim(); }).filter(function(line) {
+                return line.length && line.indexOf(ownUrl) === -1;
+            });
+            channel.postMessage({
+                listener: String(listener),
+                property: property,
+                stack: fullstack[0] || 'Unknown stack',
+                fullstack: fullstack
+            });
+        };
+        
+        var originalAdd = self.addEventListener;
+        self.addEventListener = function(type, listener) {
+            if (type == 'message' && typeof listener == 'function') {
+                report(listener);
+            }
+            return originalAdd.apply(this, arguments);
+        };
+        
+        var descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(self), 'onmessage');
+        if (descriptor && descriptor.set) {
+            Object.defineProperty(self, 'onmessage', {
+                configurable: true,
+                enumerable: true,
+                get: function() {
+                    return descriptor.get.call(self);
+                },
+                set: function(listener) {
+                    if (typeof listener == 'function') {
+                        report(listener, 'onmessage');
+                    }
+                    descriptor.set.call(self, listener);
+                }
+            });
+        }
+        
+        channel.postMessage({started: true});
+        originalImportScripts.call(self, scriptUrl);
+    };
+    
+    // Instrumented workers hold the page's messages back until the bootstrap runs: worker ->
+    // {worker, started, queue, replacement}. A blob: worker blocked by CSP (worker-src) only
+    // fails later with an error event - the original worker is then started in its place
+    var workerStartups = new WeakMap();
+    
+    var flushWorkerQueue = function(startup, target) {
+        var queue = startup.queue;
+        startup.queue = [];
+        queue.forEach(function(args) {
+            try {
+                originalWorkerPostMessage.apply(target, args);
+            } catch(e) {
+                m({log: 'Queued worker message failed: ' + e.message});
+            }
+        });
+    };
+    
+    // The page keeps the dead worker object - its messages go to the replacement, and the
+    // replacement's events are dispatched on it
+    var replaceFailedWorker = function(startup, args, scriptUrl) {
+        var replacement = Reflect.construct(OriginalWorker, args);
+        startup.replacement = replacement;
+        m({log: 'Instrumented worker failed to start, using the original: ' + scriptUrl});
+        ['message', 'messageerror', 'error'].forEach(function(type) {
+            var forward = function(e) {
+                var copy = type == 'error'
+                    ? new ErrorEvent('error', {message: e.message, filename: e.filename, lineno: e.lineno, colno: e.colno, error: e.error, cancelable: true})
+                    : new MessageEvent(type, {data: e.data, origin: e.origin, ports: Array.prototype.slice.call(e.ports || [])});
+                startup.worker.dispatchEvent(copy);
+                if (copy.defaultPrevented) e.preventDefault();
+            };
+            forward[EXTENSION_MARKER] = true;
+            originalAddEventListener.call(replacement, type, forward);
+        });
+        flushWorkerQueue(startup, replacement);
+    };
+    
+    var watchWorkerStartup = function(worker, args, scriptUrl) {
+        var startup = {worker: worker, started: false, queue: [], replacement: null};
+        workerStartups.set(worker, startup);
+        // Registered before the page gets the worker, so the page never sees the load failure
+        var onError = function(e) {
+            if (startup.started || startup.replacement) return;
+            e.stopImmediatePropagation();
+            e.preventDefault();
+            replaceFailedWorker(startup, args, scriptUrl);
+        };
+        onError[EXTENSION_MARKER] = true;
+        originalAddEventListener.call(worker, 'error', onError);
+        return startup;
+    };
+    
+    // Blob URL that loads scriptUrl behind workerBootstrap. getStartup gives the worker's
+    // startup state once it's constructed
+    var instrumentWorkerScript = function(scriptUrl, getStartup) {
+        var channelName = '__fancytracker_worker_' + frameToken + '_' + (++workerCounter);
+        var channel = new OriginalBroadcastChannel(channelName);
+        var onReport = function(e) {
+            var report = e.data;
+            if (report && report.started) {
+                var startup = getStartup();
+                if (startup && !startup.replacement) {
+                    startup.started = true;
+                    flushWorkerQueue(startup, startup.worker);
+                }
+                return;
+            }
+            if (!report || typeof report.listener != 'string') return;
+            m({
+                window: window.top == window ? 'top' : window.name,
+                hops: h(),
+                domain: document.domain,
+                context: frameContext(),
+                timestamp: Date.now(),
+                frameTime: frameTime(),
+                stack: report.stack,
+                fullstack: report.fullstack,
+                listener: report.listener,
+                target: 'workerscope',
+                property: report.property,
+                workerUrl: scriptUrl
+            });
+        };
+        onReport[EXTENSION_MARKER] = true;
+        originalAddEventListener.call(channel, 'message', onReport);
+        
+        var source = '(' + originalFunctionToString.call(workerBootstrap) + ')(' +
+            JSON.stringify(channelName) + ', ' + JSON.stringify(scriptUrl) + ');';
+        return URL.createObjectURL(new Blob([source], {type: 'text/javascript'}));
+    };
+    
+    // Only classic same-origin workers can be loaded through importScripts
+    var canInstrumentWorker = function(scriptUrl, options) {
+        return config.instrumentWorkers && !!OriginalBroadcastChannel &&
+               !(options && options.type == 'module') &&
+               /^(https?|blob):/.test(scriptUrl);
+    };
+    
+    // Hook Worker - listeners on the Worker object get messages from the worker
+    if (OriginalWorker) {
+        hookMessageTarget(OriginalWorker.prototype, 'worker', targetLogger('worker'), function(worker) {
+            return {workerUrl: workerUrls.get(worker) || ''};
+        });
+        var originalWorkerPostMessage = OriginalWorker.prototype.postMessage;
+        
+        window.Worker = disguise(function Worker(url, options) {
+            var scriptUrl = resolveScriptUrl(url);
+            var worker = null;
+            if (canInstrumentWorker(scriptUrl, options)) {
+                try {
+                    var startup = null;
+                    var blobUrl = instrumentWorkerScript(scriptUrl, function() {
+                        return startup;
+                    });
+                    worker = Reflect.construct(OriginalWorker, [blobUrl, options], new.target || OriginalWorker);
+                    startup = watchWorkerStartup(worker, Array.prototype.slice.call(arguments), scriptUrl);
+                    m({log: 'Instrumented worker: ' + scriptUrl});
+                } catch(e) {
+                    // Blocked by CSP or similar - fall back to the untouched worker
+                    worker = null;
+                }
+            }
+            if (!worker) {
+                worker = Reflect.construct(OriginalWorker, arguments, new.target || OriginalWorker);
+            }
+            workerUrls.set(worker, scriptUrl);
+            return worker;
+        }, OriginalWorker);
+        
+        OriginalWorker.prototype.postMessage = disguise(function(message, transfer) {
+            recordOutgoing(message, null, this, 'worker', transfer);
+            var startup = workerStartups.get(this);
+            if (startup && startup.replacement) {
+                return originalWorkerPostMessage.apply(startup.replacement, arguments);
+            }
+            if (startup && !startup.started) {
+                startup.queue.push(arguments);
+                return;
+            }
+            return originalWorkerPostMessage.apply(this, arguments);
+        }, originalWorkerPostMessage);
+        
+        var originalWorkerTerminate = OriginalWorker.prototype.terminate;
+        OriginalWorker.prototype.terminate = disguise(function() {
+            var startup = workerStartups.get(this);
+            if (startup) {
+                startup.queue = [];
+                if (startup.replacement) {
+                    originalWorkerTerminate.call(startup.replacement);
+                }
+            }
+            return originalWorkerTerminate.apply(this, arguments);
+        }, originalWorkerTerminate);
+    }
+    
+    // Hook SharedWorker - messages go through its port, which gets tagged as a shared worker
+    if (OriginalSharedWorker) {
+        window.SharedWorker = disguise(function SharedWorker(url, options) {
+            var worker = Reflect.construct(OriginalSharedWorker, arguments, new.target || OriginalSharedWorker);
+            workerUrls.set(worker.port, resolveScriptUrl(url));
+            return worker;
+        }, OriginalSharedWorker);
+    }
+    
+    // Hook navigator.serviceWorker - only there in secure contexts
+    if (typeof ServiceWorkerContainer != 'undefined') {
+        hookMessageTarget(ServiceWorkerContainer.prototype, 'serviceworker', targetLogger('serviceworker'), function(container) {
+            return {workerUrl: container.controller ? container.controller.scriptURL : ''};
+        });
+        
+        if (typeof ServiceWorker != 'undefined') {
+            var originalServiceWorkerPostMessage = ServiceWorker.prototype.postMessage;
+            ServiceWorker.prototype.postMessage = disguise(function(message, transfer) {
+                recordOutgoing(message, null, this, 'serviceworker', transfer);
+                return originalServiceWorkerPostMessage.apply(this, arguments);
+            }, originalServiceWorkerPostMessage);
+        }
+    }
+
+    // Hook outgoing postMessage. The hook is this window's own, so it runs for sends to this window
+    // from any same-origin frame - the sender is taken from the delivered event, not from here.
+    // Sends into cross-origin frames get the native method and are never recorded as sent.
+    window.postMessage = disguise(function(message, targetOrigin, transfer) {
+        var target = this || window;
+        recordOutgoing(message, targetOrigin, target, 'window', transfer, target === window);
+        return originalPostMessage.apply(this, arguments);
+    }, originalPostMessage);
+    
+    MessagePort.prototype.postMessage = disguise(function(message, transfer) {
+        recordOutgoing(message, null, this, 'port', transfer);
+        return originalMessagePortPostMessage.apply(this, arguments);
+    }, originalMessagePortPostMessage);
+
+    // Resolve a recorded hops path like top.frames[1].frames[0] to a window
+    var resolveHops = function(hops) {
+        if (typeof hops != 'string' || hops.split('.')[0] != 'top') {
+            throw new Error('Cannot resolve frame path "' + hops + '"');
+        }
+        var target = window.top;
+        var parts = hops.split('.').slice(1);
+        for (var i = 0; i < parts.length; i++) {
+            var match = parts[i].match(/^frames\[(\d+)\]$/);
+            if (!match) {
+                throw new Error('Invalid frame path segment "' + parts[i] + '"');
+            }
+            target = target.frames[parseInt(match[1], 10)];
+            if (!target) {
+                throw new Error('Frame ' + parts.slice(0, i + 1).join('.') + ' no longer exists');
+            }
+        }
+        return target;
+    };
+    
+    // Post a payload written in the popup from this page's context
+    var sendCraftedMessage = function(command) {
+        var target = resolveHops(command.hops);
+        var payload = command.payload;
+        if (command.payloadType == 'json') {
+            payload = JSON.parse(payload);
+        }
+        
+        var targetOrigin = command.targetOrigin || '*';
+        var transfer = [];
+        if (command.withPort) {
+            // Replies on the kept end show up as port messages
+            var channel = new MessageChannel();
+            originalMessagePortAddEventListener.call(channel.port1, 'message', onmsgport);
+            channel.port1.start();
+            transfer.push(channel.port2);
+        }
+        
+        // Our hook in this window or a same-origin frame would record the send a second time,
+        // so the saved original is called with the target as receiver. Cross-origin frames
+        // only expose the native postMessage
+        var sameOrigin = false;
+        try {
+            sameOrigin = target === window || !!target.document;
+        } catch(e) {}
+        if (sameOrigin) {
+            originalPostMessage.call(target, payload, targetOrigin, transfer);
+        } else {
+            target.postMessage(payload, targetOrigin, transfer);
+        }
+        
+        var serialized = serializeData(payload);
+        m({
+            message: {
+                direction: 'out',
+                kind: 'window',
+                crafted: true,
+                data: serialized.data,
+                dataType: serialized.dataType,
+                dataSize: serialized.dataSize,
+                truncated: serialized.truncated,
+                targetOrigin: targetOrigin,
+                wildcard: targetOrigin === '*',
+                sensitiveKeys: findSensitiveKeys(payload),
+                sourceHops: h(),
+                targetHops: command.hops,
+                window: window.top == window ? 'top' : window.name,
+                domain: document.domain,
+                ports: transfer.length,
+                stack: 'FancyTracker (sent from popup)',
+                frameTime: frameTime(),
+                timestamp: Date.now()
+            }
+        });
+    };
+    
+    // Private line to bridge.js for popup commands and settings - events on window could be seen
+    // and forged by the page. Its other end goes out with the first message posted at document_start,
+    // and bridge.js takes it before any page listener exists to see it
+    var bridgeChannel = new MessageChannel();
+    var bridgePort = bridgeChannel.port1;
+    
+    // Commands from the popup, relayed by bridge.js
+    var onCommand = function(command) {
+        var result;
+        try {
+            if (command.action == 'sendPostMessage') {
+                sendCraftedMessage(command);
+            }
+            result = {id: command.id, success: true};
+        } catch(error) {
+            m({log: 'Crafted postMessage failed: ' + error.message});
+            result = {id: command.id, success: false, error: error.message};
+        }
+        originalMessagePortPostMessage.call(bridgePort, {commandResult: result});
+    };
+    
+    // Commands and settings relayed by bridge.js
+    var onBridgeMessage = function(event) {
+        var data = event.data || {};
+        if (data.config) {
+            config.instrumentWorkers = !!data.config.instrumentWorkers;
+        }
+        if (data.command) {
+            onCommand(data.command);
         }
-        return originalMessagePortAddEventListener.apply(this, arguments);
     };
 
     // Check if listener is our own extension
@@ -328,30 +1809,78 @@
         return isFromExtension(listener, '');
     }
 
-    // Main hook - Window.addEventListener
-    Window.prototype.addEventListener = function(type, listener, useCapture) {
-        if (type == 'message') {
+    // Windows from any realm - frames can hand us their own EventTarget
+    var isWindow = function(target) {
+        try {
+            return target === window || Object.prototype.toString.call(target) == '[object Window]';
+        } catch(e) {
+            return false;
+        }
+    };
+    
+    var findMessageTargetHook = function(target) {
+        for (var i = 0; i < messageTargetHooks.length; i++) {
+            if (messageTargetHooks[i].proto.isPrototypeOf(target)) {
+                return messageTargetHooks[i];
+            }
+        }
+        return null;
+    };
+
+    // Main hook - EventTarget.addEventListener, so EventTarget.prototype.addEventListener.call(window, ...)
+    // and wrappers a page installs on top of it all end up here
+    var addEventListenerHook = function(type, listener, useCapture) {
+        var registration = null;
+        if (type == 'message' && listener && !isWindow(this)) {
+            var options = parseListenerOptions(useCapture);
+            var targetHook = findMessageTargetHook(this);
+            if (targetHook && !(options.signal && options.signal.aborted)) {
+                registration = targetHook.add(this, listener, options);
+            }
+        } else if (type == 'message') {
             // Skip our own extension listeners
             if (isExtensionListener(listener)) {
                 return originalAddEventListener.apply(this, arguments);
             }
             
             var pattern_before = false, offset = 0;
-            if (listener && listener.toString().indexOf('event.dispatch.apply') !== -1) {
+            if (typeof listener == "function" && listener.toString().indexOf('event.dispatch.apply') !== -1) {
                 pattern_before = /init\.on|init\..*on\]/;
                 if (loaded) { 
                     setTimeout(j, 100); 
                 }
             }
 
+            var target = this;
+            
             // Enhanced unwrap function
             var unwrap = function(listener) {
-                var found = c(listener);
+                var found = c(listener, target);
                 if (found) {
                     m({log: 'Unwrapping ' + found + ' wrapper'});
                 }
                 
-                if (found == 'raven') {
+                if (found == 'honeybadger' || found == 'trackjs' || found == 'raygun') {
+                    offset++;
+                    listener = unwrap(wrappedOriginals.get(listener).original);
+                } else if (found == 'logrocket') {
+                    offset++;
+                    listener = unwrap(listener.__inner__);
+                } else if (found == 'vue2' || found == 'vue3') {
+                    // The invoker's handlers can change on re-render without re-registering
+                    var handlers = found == 'vue2' ? listener.fns : listener.value;
+                    if (typeof handlers == "function") {
+                        listener = unwrap(handlers);
+                    } else if (handlers.length == 1 && typeof handlers[0] == "function") {
+                        listener = unwrap(handlers[0]);
+                    } else {
+                        listener.__postmessagetrackername__ = handlers.map(function(handler) {
+                            return String(handler);
+                        }).join('\n\n');
+                    }
+                } else if (found == 'zone-onmessage') {
+                    listener = unwrap(target[ZONE_PROPERTY_SYMBOL]);
+                } else if (found == 'raven') {
                     var ff = 0, f = null;
                     for (var key in listener) {
                         var v = listener[key];
@@ -406,22 +1935,197 @@
                 return listener;
             };
 
-            if (typeof listener == "function") {
-                listener = unwrap(listener);
-                l(listener, pattern_before, offset);
+            // Zone.js hands us its shared callback - the real listeners show up as tasks
+            if (typeof listener == "function" && c(listener, target) == 'zone') {
+                watchZoneTasks(target);
+                return originalAddEventListener.apply(this, arguments);
+            }
+
+            var options = parseListenerOptions(useCapture);
+            var resolved = resolveListener(listener);
+            // An already aborted signal means the browser never adds the listener
+            if (resolved && !(options.signal && options.signal.aborted)) {
+                registration = trackRegistration(this, listener, options);
+                var extra = resolved.extra;
+                extra.id = registration.id;
+                extra.once = options.once;
+                // Another frame's window registered through our realm
+                if (this !== window) {
+                    extra.hops = h(this);
+                }
+                l(unwrap(resolved.fn), pattern_before, offset, extra);
             }
         }
+        if (registration) {
+            return originalAddEventListener.call(this, type, wrapRegistration(registration), useCapture);
+        }
         return originalAddEventListener.apply(this, arguments);
     };
     
+    // Removal hook - EventTarget.removeEventListener
+    var removeEventListenerHook = function(type, listener, useCapture) {
+        if (type == 'message' && listener) {
+            var registration = findRegistration(this, listener, parseListenerOptions(useCapture).capture);
+            if (registration) {
+                untrackRegistration(registration, 'removeEventListener');
+                if (registration.wrapper) {
+                    return originalRemoveEventListener.call(this, type, registration.wrapper, useCapture);
+                }
+            }
+        }
+        return originalRemoveEventListener.apply(this, arguments);
+    };
+    
+    addEventListenerHook = disguise(addEventListenerHook, originalAddEventListener);
+    removeEventListenerHook = disguise(removeEventListenerHook, originalRemoveEventListener);
+    EventTarget.prototype.addEventListener = addEventListenerHook;
+    EventTarget.prototype.removeEventListener = removeEventListenerHook;
+    
+    // A fresh iframe's contentWindow carries untouched EventTarget methods - hook that realm
+    // too when the page reaches into it (per realm, a navigated frame gets a new one).
+    // Realms whose methods aren't native anymore run their own copy of this script (or the
+    // page replaced them) and are left alone
+    var hookedRealms = new WeakSet();
+    var hookRealm = function(realm) {
+        try {
+            if (!realm || realm === window) return;
+            var proto = realm.EventTarget.prototype;
+            if (hookedRealms.has(proto) || !isNativeFunction(proto.addEventListener)) return;
+            hookedRealms.add(proto);
+            proto.addEventListener = addEventListenerHook;
+            proto.removeEventListener = removeEventListenerHook;
+            realm.Function.prototype.toString = toStringHook(realm.Function.prototype.toString);
+            watchFrames(realm);
+        } catch(e) {
+            // Cross-origin frame
+        }
+    };
+    
+    // Frames without a src (or about:blank/srcdoc ones) never get this script - their initial
+    // realm is kept when the srcdoc loads. Frames loading a URL are hooked on load instead: a
+    // same-origin document replacing the initial one would reuse our hooks as its originals
+    var isBlankFrame = function(element) {
+        var src = element.getAttribute('src');
+        return element.hasAttribute('srcdoc') || !src || /^about:blank\b/i.test(src);
+    };
+    
+    // frames[i], window[i] and the like skip the accessors below - hook same-origin frames
+    // when they're inserted and whenever they finish loading
+    var watchFrames = function(win) {
+        var hookInserted = function(node) {
+            if (node.nodeType != 1) return;
+            var frames = node.nodeName == 'IFRAME' || node.nodeName == 'FRAME' ? [node] : [];
+            if (node.firstElementChild) {
+                frames = frames.concat(Array.prototype.slice.call(node.querySelectorAll('iframe, frame')));
+            }
+            frames.forEach(function(frame) {
+                if (isBlankFrame(frame)) hookRealm(frame.contentWindow);
+            });
+        };
+        var onFrameLoad = function(e) {
+            var target = e.target;
+            if (target && (target.nodeName == 'IFRAME' || target.nodeName == 'FRAME' || target.nodeName == 'OBJECT')) {
+                hookRealm(target.contentWindow);
+            }
+        };
+        onFrameLoad[EXTENSION_MARKER] = true;
+        try {
+            new MutationObserver(function(records) {
+                records.forEach(function(record) {
+                    Array.prototype.forEach.call(record.addedNodes, hookInserted);
+                });
+            }).observe(win.document, {childList: true, subtree: true});
+            originalAddEventListener.call(win, 'load', onFrameLoad, true);
+        } catch(e) {
+            // Ignore if the document can't be observed
+        }
+    };
+    
+    var hookFrameAccessor = function(proto, property) {
+        var descriptor = proto && Object.getOwnPropertyDescriptor(proto, property);
+        if (!descriptor || !descriptor.get) return;
+        Object.defineProperty(proto, property, {
+            configurable: true,
+            enumerable: descriptor.enumerable,
+            get: disguise(function() {
+                var value = descriptor.get.call(this);
+                if (value) {
+                    hookRealm(property == 'contentDocument' ? value.defaultView : value);
+                }
+                return value;
+            }, descriptor.get)
+        });
+    };
+    [window.HTMLIFrameElement, window.HTMLFrameElement, window.HTMLObjectElement].forEach(function(element) {
+        if (!element) return;
+        hookFrameAccessor(element.prototype, 'contentWindow');
+        hookFrameAccessor(element.prototype, 'contentDocument');
+    });
+    watchFrames(window);
+    
+    // A popup opened without a URL stays on about:blank and never gets this script
+    var originalWindowOpen = window.open;
+    if (typeof originalWindowOpen == 'function') {
+        window.open = disguise(function(url) {
+            var opened = originalWindowOpen.apply(this, arguments);
+            if (opened && (!url || /^about:blank\b/i.test(String(url)))) {
+                hookRealm(opened);
+            }
+            return opened;
+        }, originalWindowOpen);
+    }
+    
+    // Watch the hooks that matter most for tampering
+    guardHook('Function.prototype.toString', Function.prototype, 'toString', 'value');
+    guardHook('EventTarget.prototype.addEventListener', EventTarget.prototype, 'addEventListener', 'value');
+    guardHook('EventTarget.prototype.removeEventListener', EventTarget.prototype, 'removeEventListener', 'value');
+    guardHook('History.prototype.pushState', History.prototype, 'pushState', 'value');
+    guardHook('History.prototype.replaceState', History.prototype, 'replaceState', 'value');
+    guardHook('window.postMessage', window, 'postMessage', 'value');
+    guardHook('MessagePort.prototype.postMessage', MessagePort.prototype, 'postMessage', 'value');
+    if (windowOnmessage) {
+        guardHook('window.onmessage', windowOnmessage.holder, 'onmessage', 'set');
+    }
+    ['BroadcastChannel', 'Worker', 'SharedWorker'].forEach(function(name) {
+        guardHook('window.' + name, window, name, 'value');
+        if (window[name]) {
+            guardHook(name + '.prototype.postMessage', window[name].prototype, 'postMessage', 'value');
+        }
+    });
+    if (typeof ServiceWorker != 'undefined') {
+        guardHook('ServiceWorker.prototype.postMessage', ServiceWorker.prototype, 'postMessage', 'value');
+    }
+    // Attribute handlers and replaced hooks are looked for on a timer - not on every message
+    originalSetInterval.call(window, function() {
+        syncWindowHandler();
+        checkHooks();
+    }, HOOK_CHECK_INTERVAL);
+    originalSetInterval.call(window, reportFrame, FRAME_REPORT_INTERVAL);
+    
     // Event listeners
+    window.addEventListener('DOMContentLoaded', syncWindowHandler);
+    window.addEventListener('DOMContentLoaded', checkHooks);
+    window.addEventListener('load', checkHooks);
+    window.addEventListener('DOMContentLoaded', reportFrame);
+    window.addEventListener('load', reportFrame);
+    window.addEventListener('load', syncWindowHandler);
     window.addEventListener('load', j);
     window.addEventListener('postMessageTrackerUpdate', j);
+    window.addEventListener('popstate', onHistoryTraversal);
+    window.addEventListener('hashchange', onHistoryTraversal);
+    if (window.navigation && typeof window.navigation.addEventListener == 'function') {
+        window.navigation.addEventListener('currententrychange', onCurrentEntryChange);
+    }
     
     // Add message logger
     onmsg[EXTENSION_MARKER] = true;
     window.addEventListener('message', onmsg);
     
+    originalMessagePortAddEventListener.call(bridgePort, 'message', onBridgeMessage);
+    bridgePort.start();
+    originalPostMessage.call(window, {type: 'POSTMESSAGE_TRACKER_DATA', connect: true}, '*', [bridgeChannel.port2]);
+    
+    reportFrame();
     console.log('FancyTracker: Initialized in', h());
     
 })();
\ No newline at end of file
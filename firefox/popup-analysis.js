@@ -0,0 +1,176 @@
+// Static analysis of listener code for FancyTracker - Firefox Compatible Version
+class PopupAnalysis {
+    constructor() {
+        this.originCheckCache = new Map();
+        this.riskCache = new Map();
+        this.maxCacheSize = 200;
+
+        // References to our own origin are not the message origin
+        this.SELF_ORIGIN_REGEX = /\b(?:location|window|self|document|globalThis)\s*\.\s*origin\b/g;
+        // Neither is an origin field inside the message - e.data.origin is whatever the sender wrote
+        this.DATA_ORIGIN_REGEX = /\bdata\s*(?:\.\s*[\w$]+\s*)*\.\s*origin\b/g;
+        this.ORIGIN_REF_REGEX = /\borigin\b/;
+
+        // origin.indexOf(...), origin.includes(...), (e.origin).search(...) etc.
+        this.WEAK_METHOD_REGEX = /\borigin\s*\)?\s*\.\s*(indexOf|includes|startsWith|endsWith|search|match|lastIndexOf)\s*\(/g;
+        // new URL(e.origin).hostname.endsWith(...) and friends
+        this.WEAK_HOST_REGEX = /\b(?:hostname|host)\s*\.\s*(indexOf|includes|startsWith|endsWith|search|match)\s*\(/g;
+        // /regex/.test(e.origin)
+        this.REGEX_TEST_REGEX = /\/((?:\\.|\[[^\]]*\]|[^\/\\\n])+)\/[gimsuy]*\s*\.\s*test\s*\(\s*[\w$.]*origin\b/g;
+        // e.origin.match(/regex/)
+        this.REGEX_MATCH_REGEX = /\borigin\s*\.\s*match\s*\(\s*\/((?:\\.|\[[^\]]*\]|[^\/\\\n])+)\//g;
+        // RegExp built at runtime - can't tell how strict it is
+        this.DYNAMIC_REGEX_REGEX = /\bRegExp\s*\([^)]*\)\s*\.\s*test\s*\(\s*[\w$.]*origin\b/g;
+
+        // e.origin === "...", "..." !== e.origin, switch (e.origin)
+        this.EQUALITY_REGEX = /\borigin\s*(===|!==|==|!=)|(===|!==|==|!=)\s*[\w$.]*\borigin\b|\bswitch\s*\(\s*[\w$.]*origin\s*\)/g;
+        // allowed.includes(e.origin), allowed.indexOf(e.origin), allowedSet.has(e.origin)
+        this.ALLOWLIST_REGEX = /\.\s*(includes|indexOf|has)\s*\(\s*[\w$.]*\borigin\s*\)/g;
+
+        // Dangerous sinks and how much each one weighs in the risk score
+        this.SINKS = [
+            { label: 'innerHTML/outerHTML', weight: 30, regex: /\.\s*(?:innerHTML|outerHTML)\s*\+?=(?!=)/ },
+            { label: 'insertAdjacentHTML', weight: 30, regex: /\.\s*insertAdjacentHTML\s*\(/ },
+            { label: 'document.write', weight: 30, regex: /\bdocument\s*\.\s*write(?:ln)?\s*\(/ },
+            { label: 'eval', weight: 40, regex: /\beval\s*\(/ },
+            { label: 'Function constructor', weight: 40, regex: /\bFunction\s*\(/ },
+            { label: 'setTimeout/setInterval(string)', weight: 30, regex: /\bset(?:Timeout|Interval)\s*\(\s*(?:["'`]|[\w$.]*\bdata\b)/ },
+            { label: 'location assignment', weight: 25, regex: /\blocation\s*(?:\.\s*href\s*)?=(?!=)|\blocation\s*\.\s*(?:assign|replace)\s*\(/ },
+            { label: 'href assignment', weight: 20, regex: /(?<!\blocation\s*)\.\s*href\s*=(?!=)|setAttribute\s*\(\s*["']href["']/ },
+            { label: 'src assignment', weight: 20, regex: /\.\s*src\s*=(?!=)|setAttribute\s*\(\s*["']src["']/ },
+            { label: 'jQuery .html()', weight: 30, regex: /\.\s*html\s*\(\s*[^)\s]/ },
+            { label: 'jQuery $()', weight: 25, regex: /(?:^|[^\w$.])(?:\$|jQuery)\s*\(\s*[\w$.]*\bdata\b/ },
+            { label: 'postMessage relay', weight: 10, regex: /\.\s*postMessage\s*\(/ },
+            { label: 'window.open', weight: 15, regex: /\bwindow\s*\.\s*open\s*\(/ }
+        ];
+        this.MAX_SINK_SCORE = 70;
+
+        // event.data, or data pulled out through destructuring
+        this.DATA_REF_REGEX = /\.\s*data\b|\{[^{}]*\bdata\b[^{}]*\}/;
+
+        // Per origin-check level: base score and how much of the sink score survives
+        this.ORIGIN_RISK = {
+            none: { base: 30, factor: 1 },
+            weak: { base: 20, factor: 0.8 },
+            strict: { base: 0, factor: 0.35 }
+        };
+    }
+
+    // Collect short snippets for every match of a regex
+    collectMatches(regex, code, describe) {
+        const reasons = [];
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(code)) !== null && reasons.length < 5) {
+            reasons.push(describe(match));
+        }
+        regex.lastIndex = 0;
+        return reasons;
+    }
+
+    // Keep analysis caches bounded
+    cacheResult(cache, key, value) {
+        if (cache.size >= this.maxCacheSize) {
+            const firstKey = cache.keys().next().value;
+            cache.delete(firstKey);
+        }
+        cache.set(key, value);
+        return value;
+    }
+
+    // A regex only pins an origin when anchored at both ends with escaped dots
+    isRegexWeak(source) {
+        const anchored = source.startsWith('^') && source.endsWith('$');
+        const unescapedDot = /(^|[^\\])\.(?![*+?])/.test(source.replace(/\[[^\]]*\]/g, ''));
+        return !anchored || unescapedDot;
+    }
+
+    // Classify how a listener validates event.origin: 'none', 'weak' or 'strict'
+    classifyOriginCheck(code) {
+        if (!code || typeof code !== 'string') {
+            return { level: 'none', reasons: ['No listener code available'] };
+        }
+
+        if (this.originCheckCache.has(code)) {
+            return this.originCheckCache.get(code);
+        }
+
+        return this.cacheResult(this.originCheckCache, code, this.classifyOriginCheckCore(code));
+    }
+
+    classifyOriginCheckCore(code) {
+        const normalized = code.replace(this.SELF_ORIGIN_REGEX, '__selfOrigin__').replace(this.DATA_ORIGIN_REGEX, '__dataOrigin__');
+
+        if (!this.ORIGIN_REF_REGEX.test(normalized)) {
+            return { level: 'none', reasons: ['event.origin is never read'] };
+        }
+
+        const weak = [];
+        weak.push(...this.collectMatches(this.WEAK_METHOD_REGEX, normalized, match => `origin.${match[1]}()`));
+        weak.push(...this.collectMatches(this.WEAK_HOST_REGEX, normalized, match => `hostname.${match[1]}()`));
+        weak.push(...this.collectMatches(this.DYNAMIC_REGEX_REGEX, normalized, () => 'RegExp built at runtime'));
+
+        const strict = [];
+        const regexChecks = [
+            ...this.collectMatches(this.REGEX_TEST_REGEX, normalized, match => match[1]),
+            ...this.collectMatches(this.REGEX_MATCH_REGEX, normalized, match => match[1])
+        ];
+        for (const source of regexChecks) {
+            if (this.isRegexWeak(source)) {
+                weak.push(`unanchored regex /${source}/`);
+            } else {
+                strict.push(`anchored regex /${source}/`);
+            }
+        }
+
+        // origin.match() is already judged by its regex above
+        const weakWithoutMatch = weak.filter(reason => reason !== 'origin.match()' || regexChecks.length === 0);
+        if (weakWithoutMatch.length > 0) {
+            return { level: 'weak', reasons: weakWithoutMatch };
+        }
+
+        strict.push(...this.collectMatches(this.EQUALITY_REGEX, normalized, match => `origin ${match[1] || match[2] || 'switch'} comparison`));
+        strict.push(...this.collectMatches(this.ALLOWLIST_REGEX, normalized, match => `allowlist.${match[1]}(origin)`));
+        if (strict.length > 0) {
+            return { level: 'strict', reasons: strict };
+        }
+
+        // Reading it isn't checking it - source.postMessage(reply, e.origin) answers anyone
+        return { level: 'none', reasons: ['origin is read but never compared'] };
+    }
+
+    // Find dangerous sinks in listener code
+    detectSinks(code) {
+        if (!code || typeof code !== 'string') return [];
+        return this.SINKS.filter(sink => sink.regex.test(code)).map(sink => ({ label: sink.label, weight: sink.weight }));
+    }
+
+    // Combine sinks and origin validation into a 0-100 risk score
+    scoreListener(code) {
+        const key = code || '';
+        if (this.riskCache.has(key)) {
+            return this.riskCache.get(key);
+        }
+
+        const originCheck = this.classifyOriginCheck(code);
+        const sinks = this.detectSinks(code);
+        const readsData = !!code && this.DATA_REF_REGEX.test(code);
+
+        // Sinks in a listener that never touches event.data are unlikely to be reachable
+        let sinkScore = Math.min(this.MAX_SINK_SCORE, sinks.reduce((sum, sink) => sum + sink.weight, 0));
+        if (!readsData) {
+            sinkScore *= 0.25;
+        }
+
+        const originRisk = this.ORIGIN_RISK[originCheck.level];
+        const score = Math.min(100, Math.round(originRisk.base + sinkScore * originRisk.factor));
+
+        return this.cacheResult(this.riskCache, key, {
+            score: score,
+            level: score >= 70 ? 'high' : score >= 40 ? 'medium' : 'low',
+            sinks: sinks,
+            readsData: readsData,
+            originCheck: originCheck
+        });
+    }
+}
\ No newline at end of file
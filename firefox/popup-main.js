@@ -2,14 +2,26 @@
 class PopupMain {
     constructor() {
         this.storage = new PopupStorage();
-        this.ui = new PopupUI(this.storage);
+        this.analysis = new PopupAnalysis();
+        this.ui = new PopupUI(this.storage, this.analysis);
+        this.views = new PopupViews(this.storage, this.ui);
         this.port = null;
         this.isPortConnected = false;
         
         this.currentListeners = [];
+        this.currentMessages = [];
+        this.currentTampering = [];
+        this.currentFrames = {};
+        this.currentSegments = null;
+        this.currentHistory = null; // Earlier pages of the tab, kept across full navigations - fetched for the history view
+        this.historyInfo = null; // When the tab's page was loaded and the keys of its earlier pages
+        this.historyKey = null; // Earlier page shown instead of the live one
+        this.allListeners = {}; // Listeners of every tab, by tab ID, for the all-tabs view
+        this.knownSite = null; // Site picked in the known listeners view, else the current tab's
         this.currentUrl = '';
         this.currentTabId = null;
         this.dataLoaded = false; // Track if we've received initial data
+        this.viewMode = 'listeners'; // Which view is rendered in the content area
         
         // Firefox compatibility: Use browser API if available, fallback to chrome
         this.browserAPI = typeof browser !== 'undefined' ? browser : chrome;
@@ -21,7 +33,14 @@ class PopupMain {
             countElement: null,
             statusElement: null,
             contentElement: null,
-            showBlockedBtn: null
+            showBlockedBtn: null,
+            viewTabs: null,
+            originFilter: null,
+            sortSelect: null,
+            segmentSelect: null,
+            historyBar: null,
+            historyLabel: null,
+            historyBack: null
         };
         
         // Debounce rapid updates
@@ -183,6 +202,13 @@ class PopupMain {
         this.domCache.statusElement = document.getElementById('status-badge');
         this.domCache.contentElement = document.querySelector('.content');
         this.domCache.showBlockedBtn = document.getElementById('show-blocked-btn');
+        this.domCache.viewTabs = document.querySelectorAll('.view-tab');
+        this.domCache.originFilter = document.getElementById('origin-filter');
+        this.domCache.sortSelect = document.getElementById('sort-select');
+        this.domCache.segmentSelect = document.getElementById('segment-select');
+        this.domCache.historyBar = document.getElementById('history-bar');
+        this.domCache.historyLabel = document.getElementById('history-label');
+        this.domCache.historyBack = document.getElementById('history-back');
     }
 
     // Update current tab information
@@ -201,8 +227,33 @@ class PopupMain {
         }
     }
 
+    // Ask the background for the current tab's earlier pages
+    requestHistory() {
+        if (this.currentTabId === null) return;
+        this.sendMessage({ action: 'get-history', tabId: this.currentTabId });
+    }
+
+    // Earlier pages sent on request - only the ones of the tab still shown are kept
+    handleHistoryMessage(msg) {
+        if (msg.historyTabId !== this.currentTabId) return;
+        this.currentHistory = msg.history;
+        if (this.historyKey && !this.getHistoryPage(this.historyKey)) {
+            this.historyKey = null;
+            this.updateHistoryBar();
+            this.ui.updateSegmentSelect(this.currentSegments, this.currentListeners);
+        }
+        if (this.viewMode === 'history') {
+            this.refreshDisplay(true);
+        }
+    }
+
     // Handle messages from background script - optimized for pre-loaded data
     async handleBackgroundMessage(msg) {
+        if (msg.historyTabId !== undefined) {
+            this.handleHistoryMessage(msg);
+            return;
+        }
+
         if (!msg.listeners && !msg.currentUrl) {
             console.warn('FancyTracker: Received message without listeners data:', msg);
             return;
@@ -221,12 +272,61 @@ class PopupMain {
         // Get listeners for current tab
         if (this.currentTabId !== null) {
             const newListeners = msg.listeners[this.currentTabId] || [];
+            const newMessages = (msg.messages && msg.messages[this.currentTabId]) || [];
+            const newTampering = (msg.tampering && msg.tampering[this.currentTabId]) || [];
+            const newFrames = (msg.frames && msg.frames[this.currentTabId]) || {};
+            const newSegments = (msg.segments && msg.segments[this.currentTabId]) || null;
+            const newHistoryInfo = (msg.historyInfo && msg.historyInfo[this.currentTabId]) || null;
             
             // For the first load or manual refreshes, always update
-            // For subsequent automatic updates, only update if data actually changed
-            const dataChanged = JSON.stringify(newListeners) !== JSON.stringify(this.currentListeners);
+            // For subsequent automatic updates, only update if data shown in the current view changed
+            const listenersChanged = JSON.stringify(newListeners) !== JSON.stringify(this.currentListeners);
+            const messagesChanged = newMessages.length !== this.currentMessages.length ||
+                                    JSON.stringify(newMessages) !== JSON.stringify(this.currentMessages);
+            const tamperingChanged = this.getTamperingKey(newTampering) !== this.getTamperingKey(this.currentTampering);
+            const framesChanged = JSON.stringify(newFrames) !== JSON.stringify(this.currentFrames);
+            const segmentsChanged = JSON.stringify(newSegments) !== JSON.stringify(this.currentSegments);
+            // Earlier pages never change once kept - their keys are enough
+            const historyChanged = this.getHistoryKeys(newHistoryInfo) !== this.getHistoryKeys(this.historyInfo);
+            const allTabsChanged = this.getInventoryKey(msg.listeners) !== this.getInventoryKey(this.allListeners);
+            this.allListeners = msg.listeners || {};
+            const dataChanged = listenersChanged || segmentsChanged || historyChanged ||
+                                ((allTabsChanged || listenersChanged) && (this.viewMode === 'tabs' || this.viewMode === 'known')) ||
+                                (messagesChanged && (this.viewMode === 'messages' || this.viewMode === 'timeline')) ||
+                                (tamperingChanged && this.viewMode === 'tampering') ||
+                                (framesChanged && this.viewMode === 'frames');
             const isFirstLoad = !this.dataLoaded;
             
+            // Keep message, tampering and frame data current even while another view is shown
+            if (messagesChanged && !dataChanged) {
+                this.currentMessages = newMessages;
+            }
+            this.currentFrames = newFrames;
+            this.historyInfo = newHistoryInfo;
+            if (historyChanged) {
+                if (this.historyKey && !(newHistoryInfo && newHistoryInfo.keys.includes(this.historyKey))) {
+                    this.historyKey = null;
+                    this.updateHistoryBar();
+                    this.ui.updateSegmentSelect(newSegments, newListeners);
+                }
+                // Fetched again once the history view or a shown earlier page needs it
+                if (this.viewMode === 'history' || this.historyKey) {
+                    this.requestHistory();
+                } else {
+                    this.currentHistory = null;
+                }
+            }
+            if (segmentsChanged || listenersChanged) {
+                this.currentSegments = newSegments;
+                if (!this.historyKey) {
+                    this.ui.updateSegmentSelect(newSegments, newListeners);
+                }
+            }
+            if (tamperingChanged) {
+                this.currentTampering = newTampering;
+                this.views.updateTamperingTab(newTampering);
+            }
+            
             if (isFirstLoad || this.isManualRefresh || dataChanged) {
                 if (isFirstLoad) {
                     console.log(`FancyTracker: Initial data loaded for tab ${this.currentTabId}:`, 
@@ -240,6 +340,7 @@ class PopupMain {
                 }
                 
                 this.currentListeners = newListeners;
+                this.currentMessages = newMessages;
                 
                 // For first load, don't preserve scroll. For updates, preserve unless manual
                 const preserveScroll = this.dataLoaded && !this.isManualRefresh;
@@ -252,6 +353,16 @@ class PopupMain {
             // Fallback: show empty state
             console.warn('FancyTracker: No current tab ID available');
             this.currentListeners = [];
+            this.currentMessages = [];
+            this.currentTampering = [];
+            this.currentFrames = {};
+            this.currentSegments = null;
+            this.currentHistory = null;
+            this.historyInfo = null;
+            this.historyKey = null;
+            this.updateHistoryBar();
+            this.ui.updateSegmentSelect(null, []);
+            this.views.updateTamperingTab(this.currentTampering);
             this.refreshDisplay(!this.isManualRefresh);
             this.isManualRefresh = false;
             this.dataLoaded = true;
@@ -273,17 +384,152 @@ class PopupMain {
         // Set new timer with reduced delay for faster response
         this.updateDebounceTimer = setTimeout(() => {
             this.isUpdating = true;
-            this.ui.displayListeners(this.currentListeners, this.currentUrl, async () => {
-                // Mark this as a manual refresh when onRefresh is called
-                this.isManualRefresh = true;
-                // Request fresh data from background, which will trigger badge update
-                await this.requestData();
-            }, preserveScroll);
+            const page = this.getShownPage();
+            if (this.viewMode === 'tabs') {
+                this.showAllTabs(preserveScroll);
+            } else if (this.viewMode === 'known') {
+                this.showKnowledge(preserveScroll);
+            } else if (this.viewMode === 'history') {
+                this.views.displayHistory(this.currentHistory, this.getLivePage(), this.historyKey,
+                    key => this.selectHistoryPage(key), preserveScroll);
+            } else if (this.viewMode === 'messages') {
+                this.views.displayMessages(page.messages, page.url, preserveScroll);
+            } else if (this.viewMode === 'tampering') {
+                this.views.displayTampering(page.tampering, page.url, preserveScroll);
+            } else if (this.viewMode === 'timeline') {
+                this.views.displayTimeline(page.listeners, page.messages, page.segments,
+                    page.frames, page.url, preserveScroll);
+            } else {
+                const onRefresh = async () => {
+                    // Mark this as a manual refresh when onRefresh is called
+                    this.isManualRefresh = true;
+                    // Request fresh data from background, which will trigger badge update
+                    await this.requestData();
+                };
+                if (this.viewMode === 'frames') {
+                    this.views.displayFrameTree(page.frames, page.listeners, page.url, onRefresh, preserveScroll);
+                } else {
+                    this.ui.displayListeners(page.listeners, page.url, onRefresh, preserveScroll);
+                }
+            }
             this.updateDebounceTimer = null;
             this.isUpdating = false;
         }, this.updateDebounceDelay);
     }
 
+    // The tampering list is capped, so its length stops changing - the newest event tells new ones apart
+    getTamperingKey(tampering) {
+        const last = tampering[tampering.length - 1];
+        return last ? `${tampering.length}:${last.timestamp}:${last.hook}:${last.hops}` : '';
+    }
+
+    // Listener counts per tab - redrawing the all-tabs view only when one changes
+    getInventoryKey(listenersByTab) {
+        return Object.entries(listenersByTab || {})
+            .map(([tabId, listeners]) => `${tabId}:${listeners.length}:${listeners.filter(listener => listener.removed).length}`)
+            .join(',');
+    }
+
+    // The inventory only lists tabs that are still open - titles come from the tabs API
+    async showAllTabs(preserveScroll) {
+        const tabs = new Map();
+        try {
+            const openTabs = await this.browserAPI.tabs.query({});
+            openTabs.forEach(tab => tabs.set(tab.id, tab));
+        } catch (error) {
+            console.error('FancyTracker: Failed to query open tabs:', error);
+        }
+        this.views.displayAllTabs(this.allListeners, tabs, this.currentTabId, tab => this.jumpToTab(tab), preserveScroll);
+    }
+
+    // Read from IndexedDB, so it works for sites with no open tab too
+    async showKnowledge(preserveScroll) {
+        const knowledgeBase = this.storage.knowledgeBase;
+        let sites = [];
+        let known = null;
+        let site = this.knownSite || knowledgeBase.getSite(this.currentUrl);
+        try {
+            sites = await knowledgeBase.getSites();
+            if (sites.length > 0 && !sites.some(item => item.site === site)) {
+                site = sites[0].site;
+            }
+            if (sites.length > 0) {
+                known = await knowledgeBase.getSiteListeners(site);
+            }
+        } catch (error) {
+            console.error('FancyTracker: Failed to read knowledge base:', error);
+        }
+        this.views.displayKnowledge(sites, site, known, selected => {
+            this.knownSite = selected;
+            this.refreshDisplay(false);
+        }, preserveScroll);
+    }
+
+    async jumpToTab(tab) {
+        try {
+            await this.browserAPI.tabs.update(tab.id, { active: true });
+            if (this.browserAPI.windows && tab.windowId !== undefined) {
+                await this.browserAPI.windows.update(tab.windowId, { focused: true });
+            }
+        } catch (error) {
+            console.error('FancyTracker: Failed to switch to tab:', error);
+        }
+    }
+
+    // Keys of a tab's earlier pages - enough to tell whether its history changed
+    getHistoryKeys(historyInfo) {
+        return historyInfo ? historyInfo.keys.join('\n') : '';
+    }
+
+    getHistoryPage(key) {
+        return (this.currentHistory && this.currentHistory.pages.find(page => page.key === key)) || null;
+    }
+
+    // What the tab collected on the page it shows now, shaped like a kept page
+    getLivePage() {
+        return {
+            key: null,
+            url: this.currentUrl,
+            loadedAt: this.historyInfo ? this.historyInfo.loadedAt : null,
+            listeners: this.currentListeners,
+            messages: this.currentMessages,
+            tampering: this.currentTampering,
+            frames: this.currentFrames,
+            segments: this.currentSegments
+        };
+    }
+
+    // The earlier page picked in the history view, else the live one
+    getShownPage() {
+        return (this.historyKey && this.getHistoryPage(this.historyKey)) || this.getLivePage();
+    }
+
+    // Show an earlier page (null for the live one) in every view, starting with its listeners
+    selectHistoryPage(key) {
+        this.historyKey = key;
+        const page = this.getShownPage();
+        this.ui.updateSegmentSelect(page.segments, page.listeners);
+        this.updateHistoryBar();
+        if (this.viewMode === 'listeners') {
+            this.refreshDisplay(false);
+        } else {
+            this.setViewMode('listeners');
+        }
+    }
+
+    updateHistoryBar() {
+        const page = this.historyKey ? this.getHistoryPage(this.historyKey) : null;
+        // Crafted messages would reach whatever page the tab shows now
+        this.ui.viewingHistory = !!page;
+        if (!this.domCache.historyBar) return;
+
+        this.domCache.historyBar.style.display = page ? 'flex' : 'none';
+        if (page && this.domCache.historyLabel) {
+            this.domCache.historyLabel.textContent = `Earlier page, loaded ${new Date(page.loadedAt).toLocaleTimeString()}`;
+            this.domCache.historyLabel.title = page.url;
+        }
+    }
+
     // Setup main event listeners with cached DOM elements
     setupEventListeners() {
         // Show blocked toggle
@@ -296,6 +542,47 @@ class PopupMain {
         }
         
         this.ui.updateShowBlockedButton();
+        this.ui.setMessageSender(detail => this.sendCraftedMessage(detail));
+
+        // Origin check filter
+        if (this.domCache.originFilter) {
+            this.domCache.originFilter.addEventListener('change', () => {
+                this.ui.setOriginFilter(this.domCache.originFilter.value);
+                this.refreshDisplay(false);
+            });
+        }
+
+        // Listener sort order
+        if (this.domCache.sortSelect) {
+            this.domCache.sortSelect.addEventListener('change', () => {
+                this.ui.setSortMode(this.domCache.sortSelect.value);
+                this.refreshDisplay(false);
+            });
+        }
+
+        // Route segment switcher
+        if (this.domCache.segmentSelect) {
+            this.domCache.segmentSelect.addEventListener('change', () => {
+                this.ui.setSegmentFilter(this.domCache.segmentSelect.value);
+                this.refreshDisplay(false);
+            });
+        }
+
+        // Back from an earlier page to the live one
+        if (this.domCache.historyBack) {
+            this.domCache.historyBack.addEventListener('click', () => {
+                this.selectHistoryPage(null);
+            });
+        }
+
+        // View switcher (listeners / frames / messages / timeline / tampering / history / all tabs / known)
+        if (this.domCache.viewTabs) {
+            this.domCache.viewTabs.forEach(tab => {
+                tab.addEventListener('click', () => {
+                    this.setViewMode(tab.dataset.view);
+                });
+            });
+        }
 
         // Listen for tab changes to update display
         if (this.browserAPI.tabs && this.browserAPI.tabs.onActivated) {
@@ -318,6 +605,45 @@ class PopupMain {
         }
     }
 
+    // Ask main.js in the top frame to post a crafted message to a listener's frame
+    async sendCraftedMessage(detail) {
+        if (this.currentTabId === null) {
+            return { success: false, error: 'No active tab' };
+        }
+        
+        try {
+            const response = await this.browserAPI.tabs.sendMessage(this.currentTabId, {
+                action: 'sendPostMessage',
+                hops: detail.hops,
+                payload: detail.payload,
+                payloadType: detail.payloadType,
+                targetOrigin: detail.targetOrigin,
+                withPort: detail.withPort
+            }, { frameId: 0 });
+            return response || { success: false, error: 'No response from page' };
+        } catch (error) {
+            console.error('FancyTracker: Failed to send crafted message:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Switch the content area to another view
+    setViewMode(viewMode) {
+        if (!viewMode || viewMode === this.viewMode) return;
+        
+        this.viewMode = viewMode;
+        if (viewMode === 'history' && !this.currentHistory) {
+            this.requestHistory();
+        }
+        if (this.domCache.viewTabs) {
+            this.domCache.viewTabs.forEach(tab => {
+                tab.classList.toggle('active', tab.dataset.view === viewMode);
+            });
+        }
+        // Don't preserve scroll when switching views
+        this.refreshDisplay(false);
+    }
+
     // Setup regex editor modal with robust DOM ready checking
     setupRegexEditor() {
         console.log('FancyTracker: Setting up regex editor...');
@@ -531,6 +857,9 @@ class PopupMain {
         const prettifyToggle = document.getElementById('prettify-toggle');
         const dedupeToggle = document.getElementById('dedupe-toggle');
         const syntaxHighlightToggle = document.getElementById('syntax-highlight-toggle');
+        const hideRemovedToggle = document.getElementById('hide-removed-toggle');
+        const hideLibrariesToggle = document.getElementById('hide-libraries-toggle');
+        const instrumentWorkersToggle = document.getElementById('instrument-workers-toggle');
         
         // Code display settings
         const expandThresholdInput = document.getElementById('expand-threshold-input');
@@ -566,6 +895,18 @@ class PopupMain {
                 console.log('FancyTracker: Setting syntax highlight checkbox to:', this.storage.syntaxHighlightEnabled);
             }
             
+            if (hideRemovedToggle) {
+                hideRemovedToggle.checked = this.storage.hideRemovedEnabled;
+            }
+            
+            if (hideLibrariesToggle) {
+                hideLibrariesToggle.checked = this.storage.hideLibrariesEnabled;
+            }
+            
+            if (instrumentWorkersToggle) {
+                instrumentWorkersToggle.checked = this.storage.instrumentWorkersEnabled;
+            }
+            
             // Set code display settings
             if (expandThresholdInput) {
                 expandThresholdInput.value = this.storage.expandThreshold;
@@ -599,6 +940,15 @@ class PopupMain {
             if (syntaxHighlightToggle) {
                 syntaxHighlightToggle.checked = this.storage.syntaxHighlightEnabled;
             }
+            if (hideRemovedToggle) {
+                hideRemovedToggle.checked = this.storage.hideRemovedEnabled;
+            }
+            if (hideLibrariesToggle) {
+                hideLibrariesToggle.checked = this.storage.hideLibrariesEnabled;
+            }
+            if (instrumentWorkersToggle) {
+                instrumentWorkersToggle.checked = this.storage.instrumentWorkersEnabled;
+            }
             // Reset code display settings
             if (expandThresholdInput) {
                 expandThresholdInput.value = this.storage.expandThreshold;
@@ -650,6 +1000,24 @@ class PopupMain {
                     this.isManualRefresh = true;
                 }
                 
+                const hideRemovedEnabled = hideRemovedToggle ? hideRemovedToggle.checked : false;
+                const hideRemovedChanged = hideRemovedEnabled !== this.storage.hideRemovedEnabled;
+                if (hideRemovedChanged) {
+                    await this.storage.saveHideRemovedSetting(hideRemovedEnabled);
+                }
+                
+                const hideLibrariesEnabled = hideLibrariesToggle ? hideLibrariesToggle.checked : false;
+                const hideLibrariesChanged = hideLibrariesEnabled !== this.storage.hideLibrariesEnabled;
+                if (hideLibrariesChanged) {
+                    await this.storage.saveHideLibrariesSetting(hideLibrariesEnabled);
+                }
+                
+                // Only affects workers created after the change
+                const instrumentWorkersEnabled = instrumentWorkersToggle ? instrumentWorkersToggle.checked : false;
+                if (instrumentWorkersEnabled !== this.storage.instrumentWorkersEnabled) {
+                    await this.storage.saveInstrumentWorkersSetting(instrumentWorkersEnabled);
+                }
+                
                 // Handle code display settings
                 let codeSettingsChanged = false;
                 if (expandThresholdInput) {
@@ -684,7 +1052,7 @@ class PopupMain {
                 }
                 
                 // Refresh display to apply changes
-                if (prettifyChanged || syntaxHighlightChanged || dedupeChanged || codeSettingsChanged) {
+                if (prettifyChanged || syntaxHighlightChanged || dedupeChanged || codeSettingsChanged || hideRemovedChanged || hideLibrariesChanged) {
                     // Determine if we need to force a full rebuild
                     const needsFullRebuild = prettifyChanged || syntaxHighlightChanged;
                     
@@ -833,6 +1201,10 @@ class PopupMain {
         
         // Clear other references
         this.currentListeners = [];
+        this.currentMessages = [];
+        this.currentTampering = [];
+        this.currentFrames = {};
+        this.currentSegments = null;
         this.storage = null;
         this.ui = null;
     }
@@ -12,6 +12,9 @@ class PopupStorage {
     constructor() {
         // Firefox compatibility: Use browser API if available, fallback to chrome
         this.browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+        this.stackParser = new StackParser();
+        this.libraryDetector = new LibraryDetector(this.stackParser);
+        this.knowledgeBase = new KnowledgeBase();
         
         this.highlightRules = {};
         this.blockedListeners = [];
@@ -20,6 +23,9 @@ class PopupStorage {
         this.compiledRegex = []; // Compiled regex patterns for performance
         this.originalLogUrl = '';
         this.prettifyEnabled = false;
+        this.hideRemovedEnabled = false;
+        this.hideLibrariesEnabled = false;
+        this.instrumentWorkersEnabled = false;
         this.dedupeEnabled = true; // Default: enabled
         this.syntaxHighlightEnabled = true; // FIXED: Default to true instead of false
         this.expandThreshold = 4000; // Increased from 1600 - nvm changed to 4k
@@ -33,6 +39,9 @@ class PopupStorage {
         await this.loadBlocklists();
         await this.loadLogUrl();
         await this.loadPrettifySetting();
+        await this.loadHideRemovedSetting();
+        await this.loadHideLibrariesSetting();
+        await this.loadInstrumentWorkersSetting();
         await this.loadDedupeSetting();
         await this.loadSyntaxHighlightSetting(); // Load syntax highlighting setting
         await this.loadCodeSettings();
@@ -166,6 +175,33 @@ class PopupStorage {
         });
     }
 
+    loadHideRemovedSetting() {
+        return new Promise((resolve) => {
+            this.browserAPI.storage.local.get(['hideRemovedEnabled'], (result) => {
+                this.hideRemovedEnabled = result.hideRemovedEnabled || false;
+                resolve();
+            });
+        });
+    }
+
+    loadHideLibrariesSetting() {
+        return new Promise((resolve) => {
+            this.browserAPI.storage.local.get(['hideLibrariesEnabled'], (result) => {
+                this.hideLibrariesEnabled = result.hideLibrariesEnabled || false;
+                resolve();
+            });
+        });
+    }
+
+    loadInstrumentWorkersSetting() {
+        return new Promise((resolve) => {
+            this.browserAPI.storage.local.get(['instrumentWorkersEnabled'], (result) => {
+                this.instrumentWorkersEnabled = result.instrumentWorkersEnabled || false;
+                resolve();
+            });
+        });
+    }
+
     loadHighlightRules() {
         return new Promise((resolve) => {
             this.browserAPI.storage.local.get(['highlightRules'], (result) => {
@@ -225,6 +261,28 @@ class PopupStorage {
         });
     }
 
+    saveHideRemovedSetting(enabled) {
+        return new Promise((resolve) => {
+            this.hideRemovedEnabled = enabled;
+            this.browserAPI.storage.local.set({ hideRemovedEnabled: enabled }, resolve);
+        });
+    }
+
+    saveHideLibrariesSetting(enabled) {
+        return new Promise((resolve) => {
+            this.hideLibrariesEnabled = enabled;
+            this.browserAPI.storage.local.set({ hideLibrariesEnabled: enabled }, resolve);
+        });
+    }
+
+    // Picked up by bridge.js in every open page
+    saveInstrumentWorkersSetting(enabled) {
+        return new Promise((resolve) => {
+            this.instrumentWorkersEnabled = enabled;
+            this.browserAPI.storage.local.set({ instrumentWorkersEnabled: enabled }, resolve);
+        });
+    }
+
     saveBlocklists() {
         this.browserAPI.storage.local.set({
             [STORAGE_KEYS.BLOCKED_LISTENERS]: this.blockedListeners,
@@ -249,54 +307,34 @@ class PopupStorage {
         });
     }
 
-    // FIXED: Clean URL to strip query parameters and fragments
+    // Strip query parameters and fragments - same rules as background.js
     cleanUrl(url) {
-        if (!url) return url;
-        try {
-            const urlObj = new URL(url);
-            // Return just protocol + hostname + pathname (no query params or fragments)
-            return urlObj.protocol + '//' + urlObj.hostname + urlObj.pathname;
-        } catch (e) {
-            // If URL parsing fails, try basic string manipulation
-            return url.split('?')[0].split('#')[0];
-        }
+        return this.stackParser.cleanUrl(url);
     }
 
-    // FIXED: Extract JavaScript URL from stack trace with proper cleaning
+    // Cleaned URL of the script a listener was registered from
     extractJsUrlFromStack(stack, fullstack) {
-        const stackLines = fullstack || (stack ? [stack] : []);
-        
-        for (const line of stackLines) {
-            if (typeof line === 'string') {
-                // Look for URLs in parentheses first (most common format)
-                const urlMatch = line.match(/\(https?:\/\/[^)]+\)/g);
-                if (urlMatch) {
-                    for (const match of urlMatch) {
-                        let url = match.slice(1, -1); // Remove parentheses
-                        // Remove line numbers and column numbers
-                        url = url.replace(/:\d+:\d+$/, '').replace(/:\d+$/, '');
-                        // Strip query parameters and fragments
-                        url = this.cleanUrl(url);
-                        if (url) return url;
-                    }
-                }
-                
-                // Fallback: look for bare URLs starting with http
-                const bareUrlMatch = line.match(/https?:\/\/[^\s\)]+/g);
-                if (bareUrlMatch) {
-                    for (const match of bareUrlMatch) {
-                        let url = match;
-                        // Remove line numbers and column numbers
-                        url = url.replace(/:\d+:\d+$/, '').replace(/:\d+$/, '');
-                        // Strip query parameters and fragments
-                        url = this.cleanUrl(url);
-                        if (url) return url;
-                    }
-                }
+        return this.stackParser.extractScriptUrl(stack, fullstack);
+    }
+
+    // Known library of a listener - tagged by the background, detected here for records saved before that
+    getLibrary(listener) {
+        return listener.library !== undefined ? listener.library : this.libraryDetector.detect(listener);
+    }
+
+    // Known library loaded from another origin than the listener's frame - a library
+    // running on its own origin (js.stripe.com inside the Stripe frame) is first-party there
+    isThirdPartyLibrary(listener) {
+        const library = this.getLibrary(listener);
+        if (!library) return false;
+        if (library.url && listener.context && listener.context.origin) {
+            try {
+                return new URL(library.url).origin !== listener.context.origin;
+            } catch (e) {
+                return true;
             }
         }
-        
-        return null;
+        return true;
     }
 
     // Enhanced: Check if listener is blocked (includes regex check)
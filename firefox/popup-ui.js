@@ -1,14 +1,72 @@
 // UI utilities and DOM manipulation for FancyTracker - Optimized Version with Local Highlight.js
 class PopupUI {
-    constructor(storage) {
+    constructor(storage, analysis) {
         this.storage = storage;
+        this.analysis = analysis;
         this.showBlockedOnly = false;
+        this.originFilter = 'all'; // 'all', 'none', 'weak' or 'strict'
+        this.sortMode = 'detection'; // 'detection' or 'risk'
+        this.segmentFilter = 'all'; // 'all' or a route segment id
+        this.segments = null; // Route segments of the current tab, set by updateSegmentSelect
+        this.messageSender = null; // Set by PopupMain, posts crafted messages to the page
+        this.viewingHistory = false; // An earlier page of the tab is shown - nothing to send to
+        this.sendPanelState = new Map(); // Survives list rebuilds while the popup is open
         this.prettifyCache = new Map();
         this.maxPrettifySize = 10000;
         this.maxCacheSize = 100;
         
-        this.URL_REGEX = /\(https?:\/\/[^)]+\)/g;
-        this.LINE_ENDING_REGEX = /:\d+:\d+$|:\d+$/;
+        this.ORIGIN_CHECK_LABELS = {
+            none: 'No origin check',
+            weak: 'Weak origin check',
+            strict: 'Strict origin check'
+        };
+        
+        this.REMOVAL_REASONS = {
+            removeEventListener: 'removeEventListener',
+            once: 'once listener fired',
+            signal: 'AbortSignal aborted',
+            onmessage: 'onmessage cleared'
+        };
+        
+        this.TARGET_LABELS = {
+            port: 'MessagePort',
+            broadcast: 'BroadcastChannel',
+            worker: 'Worker',
+            sharedworker: 'SharedWorker',
+            serviceworker: 'ServiceWorker',
+            workerscope: 'Inside worker'
+        };
+        
+        // Where a window.onmessage handler came from, when not plain window.onmessage = fn
+        this.PROPERTY_SOURCES = {
+            attribute: 'onmessage attribute',
+            body: 'body.onmessage',
+            frameset: 'frameset.onmessage',
+            existing: 'onmessage (set before load)'
+        };
+        
+        // Group order in the listener list
+        this.TARGET_GROUPS = ['window', 'port', 'broadcast', 'worker', 'sharedworker', 'serviceworker', 'workerscope'];
+        
+        // What a stack frame's kind means, shown on hover
+        this.FRAME_KINDS = {
+            script: 'Script file',
+            inline: 'Inline <script> of the document',
+            eval: 'eval() or new Function() - position of the call',
+            blob: 'blob: URL script',
+            data: 'data: URL script',
+            srcdoc: 'iframe srcdoc document',
+            extension: 'Browser extension',
+            native: 'Native code',
+            anonymous: 'No script URL',
+            other: 'Other'
+        };
+        // Frames the script viewer can fetch. Inline scripts are read from the page instead, which
+        // needs the listener's tab - requesting the document again could have side effects
+        this.VIEWABLE_KINDS = ['script', 'data'];
+        this.MAX_VIEWER_CODE_LENGTH = 20000; // Longer listener code isn't passed in the viewer URL
+        this.expandedStacks = new Set(); // Stack lists left open survive list rebuilds
+        this.originalSources = new Map(); // Source map lookups per listener, asked once per popup
         
         this.initHighlightJs();
     }
@@ -58,6 +116,171 @@ class PopupUI {
         }
     }
 
+    // Frames whose script the script viewer can show - tabId is the tab the listener was recorded in
+    canViewFrame(frame, tabId) {
+        if (!frame) return false;
+        if (frame.kind === 'inline') return typeof tabId === 'number';
+        return this.VIEWABLE_KINDS.indexOf(frame.kind) !== -1 && /^(?:https?|data):/.test(frame.url);
+    }
+
+    // Open the script viewer at a frame's line, marking the listener's code when given
+    openScriptViewer(frame, code, tabId) {
+        const params = new URLSearchParams({ url: frame.url });
+        if (frame.kind === 'inline') {
+            // Read from the page - positions count from the top of the HTML, not of the script
+            params.set('tab', tabId);
+        } else {
+            if (frame.line !== null) params.set('line', frame.line);
+            if (frame.column !== null) params.set('column', frame.column);
+        }
+        if (code && code.length <= this.MAX_VIEWER_CODE_LENGTH) params.set('code', code);
+        const browserAPI = this.storage.browserAPI;
+        browserAPI.tabs.create({ url: `${browserAPI.runtime.getURL('viewer.html')}?${params}` });
+    }
+
+    // Open a frame's script in the viewer, or copy its location when it can't be fetched
+    openStackFrame(frame, element, code, tabId) {
+        if (this.canViewFrame(frame, tabId)) {
+            this.openScriptViewer(frame, code, tabId);
+            return;
+        }
+        navigator.clipboard.writeText(frame.url + this.storage.stackParser.formatPosition(frame)).then(() => {
+            element.classList.add('copied');
+            setTimeout(() => element.classList.remove('copied'), 1000);
+        }).catch(error => {
+            console.error('FancyTracker: Failed to copy frame location:', error);
+        });
+    }
+
+    // One row per parsed stack frame
+    createStackFrameElement(frame, code, tabId) {
+        const row = document.createElement('div');
+        row.className = `stack-frame ${frame.kind}`;
+        row.title = `${this.FRAME_KINDS[frame.kind] || frame.kind}\n${frame.raw}\n\n` +
+            (this.canViewFrame(frame, tabId) ? 'Click to view the source' : 'Click to copy the location');
+
+        const name = document.createElement('span');
+        name.className = 'stack-frame-name';
+        name.textContent = frame.functionName || '(anonymous)';
+
+        const location = document.createElement('span');
+        location.className = 'stack-frame-location';
+        const position = this.storage.stackParser.formatPosition(frame);
+        const url = frame.url.length > 60 ? frame.url.substring(0, 57) + '...' : frame.url;
+        location.textContent = frame.kind === 'script' ? this.formatUrlForDisplay(frame.url) + position : url + position;
+
+        const kind = document.createElement('span');
+        kind.className = 'stack-frame-kind';
+        kind.textContent = frame.kind;
+
+        row.appendChild(name);
+        row.appendChild(location);
+        row.appendChild(kind);
+        row.onclick = (e) => {
+            e.stopPropagation();
+            this.openStackFrame(frame, row, code, tabId);
+        };
+        return row;
+    }
+
+    // Stack line of a listener or send - click it for every frame, FancyTracker's own left out.
+    // code is the listener's source, marked in the viewer when a frame is opened, tabId its tab
+    createStackSection(stack, fullstack, documentUrl, code, tabId) {
+        const stackSection = document.createElement('div');
+        stackSection.className = 'stack-section';
+
+        const stackTrace = document.createElement('div');
+        stackTrace.className = 'stack-trace';
+        stackTrace.textContent = stack;
+        stackSection.appendChild(stackTrace);
+
+        const frames = this.storage.stackParser.parseStack(fullstack || [], documentUrl)
+            .filter(frame => frame.kind !== 'extension');
+        if (frames.length === 0) {
+            return stackSection;
+        }
+
+        const stackKey = fullstack.join('\n');
+        const frameList = document.createElement('div');
+        frameList.className = 'stack-frames';
+        frames.forEach(frame => frameList.appendChild(this.createStackFrameElement(frame, code, tabId)));
+        frameList.style.display = this.expandedStacks.has(stackKey) ? 'block' : 'none';
+
+        stackTrace.classList.add('expandable');
+        stackTrace.title = `${frames.length} frame${frames.length !== 1 ? 's' : ''} - click to show`;
+        stackTrace.onclick = (e) => {
+            e.stopPropagation();
+            const open = !this.expandedStacks.has(stackKey);
+            if (open) {
+                this.expandedStacks.add(stackKey);
+            } else {
+                this.expandedStacks.delete(stackKey);
+            }
+            frameList.style.display = open ? 'block' : 'none';
+        };
+
+        stackSection.appendChild(frameList);
+        return stackSection;
+    }
+
+    // Ask the background to map a listener back through its script's source map
+    resolveOriginalSource(listener) {
+        const key = `${listener.listener || ''}\n${(listener.fullstack || []).join('\n')}`;
+        if (!this.originalSources.has(key)) {
+            const request = this.storage.browserAPI.runtime.sendMessage({
+                action: 'resolveSourceMap',
+                listener: {
+                    listener: listener.listener,
+                    stack: listener.stack,
+                    fullstack: listener.fullstack,
+                    parent_url: listener.parent_url,
+                    context: listener.context,
+                    tabId: listener.tabId
+                }
+            }).then(response => (response && response.original) || null).catch(error => {
+                console.error('FancyTracker: Source map lookup failed:', error);
+                return null;
+            });
+            this.originalSources.set(key, request);
+        }
+        return this.originalSources.get(key);
+    }
+
+    // Original file/line and, with sourcesContent, the unminified handler above the raw code
+    async attachOriginalSource(listener, item, codeSection) {
+        const original = await this.resolveOriginalSource(listener);
+        if (!original || !item.contains(codeSection)) return;
+
+        const section = document.createElement('div');
+        section.className = 'original-section';
+
+        const location = document.createElement('div');
+        location.className = 'original-location';
+        const position = `${this.formatUrlForDisplay(original.source)}:${original.line}:${original.column}`;
+        const prefix = original.matched === 'registration' ? 'Registered from' : 'Original';
+        location.textContent = `${prefix} ${position}${original.name ? ' · ' + original.name : ''}`;
+        location.title = `${original.source}:${original.line}:${original.column}\n` +
+            `Minified: ${original.generated.url}:${original.generated.line}:${original.generated.column}`;
+        section.appendChild(location);
+
+        if (original.snippet) {
+            const codeBlock = document.createElement('div');
+            codeBlock.className = 'code-block original-code';
+            codeBlock.style.fontSize = `${this.storage.codeFontSize}px`;
+            codeBlock.setAttribute('data-original-text', original.snippet);
+            codeBlock.setAttribute('data-source-mapped', 'true');
+            this.applyAllHighlighting(codeBlock, original.snippet);
+
+            if (this.shouldTruncateCode(original.snippet, original.snippet)) {
+                codeBlock.classList.add('truncated');
+                this.addExpandFunctionality(codeBlock);
+            }
+            section.appendChild(codeBlock);
+        }
+
+        item.insertBefore(section, codeSection);
+    }
+
     formatUrlForDisplay(url) {
         try {
             const urlObj = new URL(url);
@@ -290,7 +513,7 @@ class PopupUI {
 
     createListenerElement(listener, index, onRefresh) {
         const item = document.createElement('div');
-        item.className = 'listener-item';
+        item.className = listener.removed ? 'listener-item removed' : 'listener-item';
 
         const header = document.createElement('div');
         header.className = 'listener-header';
@@ -304,10 +527,14 @@ class PopupUI {
         
         const domainName = document.createElement('div');
         domainName.className = 'domain-name';
-        const domain = listener.domain || 'unknown';
+        const context = listener.context;
+        const domain = (context && context.origin) || listener.domain || 'unknown';
         domainName.textContent = domain;
         
-        if (domain.length > 20) {
+        if (context) {
+            domainName.title = this.describeFrameContext(context);
+            domainName.style.cursor = 'help';
+        } else if (domain.length > 20) {
             domainName.title = domain;
             domainName.style.cursor = 'help';
         }
@@ -331,10 +558,87 @@ class PopupUI {
             windowInfo.style.cursor = 'help';
         }
         
+        const originCheck = this.analysis.classifyOriginCheck(listener.listener);
+        const originBadge = document.createElement('div');
+        originBadge.className = `origin-badge ${originCheck.level}`;
+        originBadge.textContent = this.ORIGIN_CHECK_LABELS[originCheck.level];
+        originBadge.title = originCheck.reasons.join('\n');
+        
         listenerInfo.appendChild(indexNumber);
         listenerInfo.appendChild(domainName);
         listenerInfo.appendChild(windowInfo);
         
+        if (this.segments && this.segmentFilter === 'all') {
+            const segmentBadge = this.createSegmentBadge(listener);
+            if (segmentBadge) {
+                listenerInfo.appendChild(segmentBadge);
+            }
+        }
+        if (context && context.isSecureContext === false) {
+            const insecureBadge = document.createElement('div');
+            insecureBadge.className = 'context-badge insecure';
+            insecureBadge.textContent = 'Insecure';
+            insecureBadge.title = 'Not a secure context - the frame was loaded over plain http (or from an insecure parent)';
+            listenerInfo.appendChild(insecureBadge);
+        }
+        if (context && context.sandbox !== null && context.sandbox !== undefined) {
+            const sandboxBadge = document.createElement('div');
+            sandboxBadge.className = 'context-badge sandbox';
+            sandboxBadge.textContent = 'Sandboxed';
+            sandboxBadge.title = context.sandbox ? `sandbox="${context.sandbox}"` : 'sandbox with no permissions';
+            listenerInfo.appendChild(sandboxBadge);
+        }
+        
+        if (listener.target && this.TARGET_LABELS[listener.target]) {
+            listenerInfo.appendChild(this.createTargetBadge(listener));
+        }
+        
+        // window.onmessage handlers - target badges already name the property
+        if (listener.property && !this.TARGET_LABELS[listener.target]) {
+            const propertyBadge = document.createElement('div');
+            propertyBadge.className = 'target-badge property';
+            propertyBadge.textContent = this.PROPERTY_SOURCES[listener.propertySource] || `window.${listener.property}`;
+            propertyBadge.title = 'Event handler property - assigning a new handler replaces this one';
+            listenerInfo.appendChild(propertyBadge);
+        }
+        
+        if (listener.handleEvent) {
+            const handleEventBadge = document.createElement('div');
+            handleEventBadge.className = 'target-badge handle-event';
+            handleEventBadge.textContent = `${listener.handleEventObject}.handleEvent`;
+            handleEventBadge.title = `Listener object of type ${listener.handleEventObject} - the code below is its handleEvent method`;
+            listenerInfo.appendChild(handleEventBadge);
+        }
+        
+        listenerInfo.appendChild(originBadge);
+        
+        const risk = this.analysis.scoreListener(listener.listener);
+        const riskBadge = document.createElement('div');
+        riskBadge.className = `risk-badge ${risk.level}`;
+        riskBadge.textContent = `Risk ${risk.score}`;
+        riskBadge.title = risk.sinks.length > 0
+            ? `Sinks: ${risk.sinks.map(sink => sink.label).join(', ')}${risk.readsData ? '' : '\n(event.data is never read)'}`
+            : 'No dangerous sinks found';
+        listenerInfo.appendChild(riskBadge);
+        
+        const knowledge = listener.knowledge;
+        if (knowledge && knowledge.isNew) {
+            const newBadge = document.createElement('div');
+            newBadge.className = 'new-badge';
+            newBadge.textContent = 'New';
+            newBadge.title = `Not seen on this site before this visit - previous visit ${new Date(knowledge.previousVisit).toLocaleString()}`;
+            listenerInfo.appendChild(newBadge);
+        }
+        
+        if (listener.removed) {
+            const removedBadge = document.createElement('div');
+            removedBadge.className = 'removed-badge';
+            removedBadge.textContent = 'Removed';
+            const removedAt = listener.removedAt ? new Date(listener.removedAt).toLocaleTimeString() : 'unknown time';
+            removedBadge.title = `Removed at ${removedAt} (${this.REMOVAL_REASONS[listener.removedReason] || 'removeEventListener'})`;
+            listenerInfo.appendChild(removedBadge);
+        }
+        
         const listenerActions = document.createElement('div');
         listenerActions.className = 'listener-actions';
         
@@ -405,21 +709,54 @@ class PopupUI {
             listenerActions.appendChild(blockUrlBtn);
         }
         
+        const pageFrame = this.storage.stackParser.findPageFrame(listener.stack, listener.fullstack, this.storage.stackParser.getDocumentUrl(listener));
+        if (this.canViewFrame(pageFrame, listener.tabId)) {
+            const viewBtn = document.createElement('button');
+            viewBtn.className = 'block-btn';
+            viewBtn.innerHTML = '&#128196; Source';
+            viewBtn.title = `View ${this.formatUrlForDisplay(pageFrame.url)}${this.storage.stackParser.formatPosition(pageFrame)}`;
+            viewBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.openScriptViewer(pageFrame, listener.listener, listener.tabId);
+            };
+            listenerActions.appendChild(viewBtn);
+        }
+        
+        let sendPanel = null;
+        if (this.canSendTo(listener)) {
+            sendPanel = this.createSendPanel(listener);
+            
+            const sendBtn = document.createElement('button');
+            sendBtn.className = 'block-btn';
+            sendBtn.innerHTML = '&#9993; Send';
+            sendBtn.title = `Post a message to ${listener.hops}`;
+            sendBtn.onclick = (e) => {
+                e.stopPropagation();
+                const state = this.getSendPanelState(listener);
+                state.open = !state.open;
+                sendPanel.style.display = state.open ? 'block' : 'none';
+            };
+            listenerActions.appendChild(sendBtn);
+        }
+        
         header.appendChild(listenerInfo);
         header.appendChild(listenerActions);
 
-        const stackSection = document.createElement('div');
-        stackSection.className = 'stack-section';
+        const stackSection = this.createStackSection(listener.stack || 'Unknown stack', listener.fullstack, this.storage.stackParser.getDocumentUrl(listener), listener.listener, listener.tabId);
         
-        const stackTrace = document.createElement('div');
-        stackTrace.className = 'stack-trace';
-        stackTrace.textContent = listener.stack || 'Unknown stack';
-        
-        if (listener.fullstack) {
-            stackTrace.title = listener.fullstack.join('\n\n');
+        item.appendChild(header);
+        item.appendChild(stackSection);
+        const librarySection = this.createLibrarySection(listener);
+        if (librarySection) {
+            item.appendChild(librarySection);
+        }
+        const invocationSection = this.createInvocationSection(listener);
+        if (invocationSection) {
+            item.appendChild(invocationSection);
+        }
+        if (sendPanel) {
+            item.appendChild(sendPanel);
         }
-        
-        stackSection.appendChild(stackTrace);
 
         const codeSection = document.createElement('div');
         codeSection.className = 'code-section';
@@ -446,13 +783,281 @@ class PopupUI {
         }
         
         codeSection.appendChild(codeBlock);
-        item.appendChild(header);
-        item.appendChild(stackSection);
         item.appendChild(codeSection);
+        
+        this.attachOriginalSource(listener, item, codeSection);
 
         return item;
     }
 
+    setMessageSender(sender) {
+        this.messageSender = sender;
+    }
+
+    // Known library name and what to check before digging into it
+    createLibrarySection(listener) {
+        const library = this.storage.getLibrary(listener);
+        if (!library) return null;
+
+        const section = document.createElement('div');
+        section.className = 'library-section';
+
+        const name = document.createElement('span');
+        name.className = 'library-name';
+        name.textContent = library.name;
+        name.title = library.matched === 'url'
+            ? `Registered from ${library.url}`
+            : 'Recognised from the listener code';
+        section.appendChild(name);
+
+        if (library.advisory) {
+            const advisory = document.createElement('span');
+            advisory.className = 'library-advisory';
+            advisory.textContent = library.advisory;
+            section.appendChild(advisory);
+        }
+        return section;
+    }
+
+    // How often the listener fired and the last message it got - only registrations
+    // main.js could wrap (they carry an id) are counted, jQuery and worker-side ones aren't
+    createInvocationSection(listener) {
+        if (!listener.id) return null;
+
+        const section = document.createElement('div');
+        section.className = 'invocation-section';
+
+        const calls = document.createElement('span');
+        calls.className = `invocation-count${listener.calls ? '' : ' never'}`;
+        calls.textContent = listener.calls
+            ? `Called ${listener.calls} time${listener.calls !== 1 ? 's' : ''}`
+            : 'Not called yet';
+        section.appendChild(calls);
+
+        const last = listener.lastCall;
+        if (last) {
+            const origin = document.createElement('span');
+            origin.className = 'invocation-origin';
+            origin.textContent = `last from ${last.origin || 'no origin'}`;
+            origin.title = `Last call at ${new Date(last.timestamp).toLocaleTimeString()}`;
+            section.appendChild(origin);
+
+            const preview = document.createElement('span');
+            preview.className = 'invocation-preview';
+            preview.textContent = last.data + (last.truncated ? '...' : '');
+            preview.title = `${last.dataType}: ${last.data}${last.truncated ? '...' : ''}`;
+            section.appendChild(preview);
+        }
+        return section;
+    }
+
+    // Hover text for a listener's frame: origin, URL, security context and sandbox
+    describeFrameContext(context) {
+        const lines = [
+            `Origin: ${context.origin}`,
+            `URL: ${context.url}`,
+            `Secure context: ${context.isSecureContext ? 'yes' : 'no'}`,
+            `Cross-origin isolated: ${context.crossOriginIsolated ? 'yes' : 'no'}`
+        ];
+        if (context.sandbox === undefined) {
+            lines.push('Sandbox: unknown (cross-origin parent)');
+        } else if (context.sandbox !== null) {
+            lines.push(`Sandbox: ${context.sandbox || '(no permissions)'}`);
+        }
+        if (context.frameId !== undefined) {
+            lines.push(`Frame ID: ${context.frameId}${context.frameId === 0 ? ' (top)' : ''}`);
+        }
+        if (context.senderUrl && context.senderUrl !== context.url) {
+            lines.push(`Frame URL seen by the browser: ${context.senderUrl}`);
+        }
+        return lines.join('\n');
+    }
+
+    // Only window listeners with a resolvable frame path can be targeted
+    canSendTo(listener) {
+        return !!this.messageSender && !this.viewingHistory && (!listener.target || listener.target === 'window') &&
+               typeof listener.hops === 'string' && listener.hops.split('.')[0] === 'top';
+    }
+
+    getTargetGroup(listener) {
+        return this.TARGET_GROUPS.includes(listener.target) ? listener.target : 'window';
+    }
+
+    // Stable regroup by target type, keeping the chosen sort inside each group
+    groupByTarget(listeners) {
+        return this.TARGET_GROUPS.flatMap(group => listeners.filter(listener => this.getTargetGroup(listener) === group));
+    }
+
+    createTargetGroupHeader(group, count) {
+        const header = document.createElement('div');
+        header.className = 'target-group-header';
+        header.textContent = `${this.TARGET_LABELS[group] || 'Window'} (${count})`;
+        return header;
+    }
+
+    // Chip for listeners that are not on a window, e.g. MessagePort or BroadcastChannel
+    createTargetBadge(listener) {
+        const badge = document.createElement('div');
+        badge.className = `target-badge ${listener.target}`;
+        badge.textContent = listener.property
+            ? `${this.TARGET_LABELS[listener.target]}.${listener.property}`
+            : this.TARGET_LABELS[listener.target];
+        
+        if (listener.target === 'broadcast') {
+            badge.textContent += ` "${listener.channel || ''}"`;
+            badge.title = `Listening on BroadcastChannel "${listener.channel || ''}" - any same-origin tab, frame or worker can post to it`;
+        }
+        
+        if (listener.workerUrl !== undefined) {
+            badge.title = listener.target === 'workerscope'
+                ? `Registered inside the worker running ${listener.workerUrl}`
+                : `Worker script: ${listener.workerUrl || 'unknown'}`;
+        }
+        
+        const sender = listener.portSender;
+        if (sender) {
+            badge.title = sender.via === 'created'
+                ? `Port created in this frame (${sender.origin})`
+                : `Port handed over by ${sender.hops} (${sender.origin || 'no origin'}) via a ${sender.via} message`;
+        }
+        return badge;
+    }
+
+    getSendPanelState(listener) {
+        const key = `${listener.hops}|${listener.listener}`;
+        if (!this.sendPanelState.has(key)) {
+            this.sendPanelState.set(key, {
+                open: false,
+                payload: '',
+                payloadType: 'json',
+                targetOrigin: '*',
+                withPort: false,
+                status: '',
+                statusType: ''
+            });
+        }
+        return this.sendPanelState.get(key);
+    }
+
+    // "Send message" panel: payload, targetOrigin and optional MessageChannel port
+    createSendPanel(listener) {
+        const state = this.getSendPanelState(listener);
+        
+        const panel = document.createElement('div');
+        panel.className = 'send-panel';
+        panel.style.display = state.open ? 'block' : 'none';
+        
+        const payloadInput = document.createElement('textarea');
+        payloadInput.className = 'send-payload';
+        payloadInput.placeholder = '{"type": "ping"}';
+        payloadInput.value = state.payload;
+        payloadInput.oninput = () => { state.payload = payloadInput.value; };
+        
+        const controls = document.createElement('div');
+        controls.className = 'send-controls';
+        
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'send-type';
+        typeSelect.title = 'How the payload is posted';
+        [['json', 'JSON'], ['string', 'String']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = state.payloadType;
+        typeSelect.onchange = () => { state.payloadType = typeSelect.value; };
+        
+        // Suggest '*' and the listener's own origin
+        const originList = document.createElement('datalist');
+        originList.id = `send-origins-${this.sendPanelState.size}-${Math.random().toString(36).slice(2, 8)}`;
+        const suggestions = ['*'];
+        if (listener.context && listener.context.origin && listener.context.origin !== 'null') {
+            suggestions.push(listener.context.origin);
+        } else if (listener.domain) {
+            suggestions.push(`https://${listener.domain}`, `http://${listener.domain}`);
+        }
+        suggestions.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            originList.appendChild(option);
+        });
+        
+        const originInput = document.createElement('input');
+        originInput.type = 'text';
+        originInput.className = 'send-origin';
+        originInput.title = 'targetOrigin';
+        originInput.placeholder = 'targetOrigin';
+        originInput.value = state.targetOrigin;
+        originInput.setAttribute('list', originList.id);
+        originInput.oninput = () => { state.targetOrigin = originInput.value; };
+        
+        const portLabel = document.createElement('label');
+        portLabel.className = 'send-port-label';
+        portLabel.title = 'Transfer one end of a new MessageChannel; replies show up in the Messages view';
+        const portCheckbox = document.createElement('input');
+        portCheckbox.type = 'checkbox';
+        portCheckbox.checked = state.withPort;
+        portCheckbox.onchange = () => { state.withPort = portCheckbox.checked; };
+        portLabel.appendChild(portCheckbox);
+        portLabel.appendChild(document.createTextNode(' Transfer port'));
+        
+        const status = document.createElement('div');
+        status.className = `send-status ${state.statusType}`;
+        status.textContent = state.status;
+        
+        const setStatus = (text, type) => {
+            state.status = text;
+            state.statusType = type;
+            status.textContent = text;
+            status.className = `send-status ${type}`;
+        };
+        
+        const sendBtn = document.createElement('button');
+        sendBtn.className = 'send-btn';
+        sendBtn.textContent = 'Send';
+        sendBtn.onclick = async (e) => {
+            e.stopPropagation();
+            
+            if (state.payloadType === 'json') {
+                try {
+                    JSON.parse(state.payload);
+                } catch (error) {
+                    setStatus(`Invalid JSON: ${error.message}`, 'error');
+                    return;
+                }
+            }
+            
+            sendBtn.disabled = true;
+            const result = await this.messageSender({
+                hops: listener.hops,
+                payload: state.payload,
+                payloadType: state.payloadType,
+                targetOrigin: state.targetOrigin.trim() || '*',
+                withPort: state.withPort
+            });
+            sendBtn.disabled = false;
+            
+            if (result && result.success) {
+                setStatus(`Sent to ${listener.hops} at ${new Date().toLocaleTimeString()}`, 'success');
+            } else {
+                setStatus(`Failed: ${(result && result.error) || 'unknown error'}`, 'error');
+            }
+        };
+        
+        controls.appendChild(typeSelect);
+        controls.appendChild(originInput);
+        controls.appendChild(originList);
+        controls.appendChild(portLabel);
+        controls.appendChild(sendBtn);
+        
+        panel.appendChild(payloadInput);
+        panel.appendChild(controls);
+        panel.appendChild(status);
+        
+        return panel;
+    }
+
     // NEW METHOD: Apply all highlighting in the correct order
     applyAllHighlighting(codeBlock, displayCode) {
         const hasCustomRules = this.storage.highlightRules && Object.keys(this.storage.highlightRules).length > 0;
@@ -558,6 +1163,95 @@ class PopupUI {
         this.updateShowBlockedButton();
     }
 
+    setOriginFilter(level) {
+        this.originFilter = level || 'all';
+    }
+
+    setSortMode(mode) {
+        this.sortMode = mode || 'detection';
+    }
+
+    setSegmentFilter(value) {
+        this.segmentFilter = value === undefined || value === 'all' ? 'all' : parseInt(value, 10);
+    }
+
+    // Listeners recorded before route segments existed belong to the first one
+    matchesSegment(listener) {
+        return this.segmentFilter === 'all' || (listener.segment || 0) === this.segmentFilter;
+    }
+
+    // Path of a route for the switcher and badges
+    formatRoute(url) {
+        try {
+            const urlObj = new URL(url);
+            return urlObj.pathname + urlObj.search + urlObj.hash;
+        } catch (e) {
+            return url || 'unknown';
+        }
+    }
+
+    // Fill the route switcher - only shown once the page made a soft navigation
+    updateSegmentSelect(segments, listeners) {
+        this.segments = segments && segments.list && segments.list.length > 1 ? segments : null;
+
+        const bar = document.getElementById('segment-bar');
+        const select = document.getElementById('segment-select');
+        if (!bar || !select) return;
+
+        if (!this.segments) {
+            bar.style.display = 'none';
+            this.segmentFilter = 'all';
+            return;
+        }
+        if (this.segmentFilter !== 'all' && !this.segments.list[this.segmentFilter]) {
+            this.segmentFilter = 'all';
+        }
+
+        select.innerHTML = '';
+        const all = document.createElement('option');
+        all.value = 'all';
+        all.textContent = `All routes (${listeners.length})`;
+        select.appendChild(all);
+
+        this.segments.list.forEach(segment => {
+            const count = listeners.filter(listener => (listener.segment || 0) === segment.id).length;
+            const option = document.createElement('option');
+            option.value = segment.id;
+            option.textContent = `${segment.id + 1}. ${this.formatRoute(segment.url)} (${count})` +
+                (segment.id === this.segments.current ? ' - current' : '');
+            option.title = `${segment.url}\nEntered via ${segment.kind} at ${new Date(segment.startedAt).toLocaleTimeString()}`;
+            select.appendChild(option);
+        });
+        select.value = String(this.segmentFilter);
+        bar.style.display = 'flex';
+    }
+
+    // Route a listener was registered on, shown while all routes are listed
+    createSegmentBadge(listener) {
+        const segment = this.segments.list[listener.segment || 0];
+        if (!segment) return null;
+
+        const badge = document.createElement('div');
+        badge.className = 'segment-badge';
+        badge.textContent = this.formatRoute(segment.url);
+        badge.title = `Registered on route ${segment.id + 1}: ${segment.url}`;
+        return badge;
+    }
+
+    // Highest risk first, detection order breaks ties
+    sortListeners(listeners) {
+        if (this.sortMode !== 'risk') return listeners;
+        return listeners
+            .map((listener, position) => ({ listener, position, score: this.analysis.scoreListener(listener.listener).score }))
+            .sort((a, b) => b.score - a.score || a.position - b.position)
+            .map(entry => entry.listener);
+    }
+
+    matchesOriginFilter(listener) {
+        if (this.originFilter === 'all') return true;
+        return this.analysis.classifyOriginCheck(listener.listener).level === this.originFilter;
+    }
+
     // OPTIMIZED: Better re-highlighting that preserves syntax highlighting when possible
     reHighlightCodeBlocks(forceRebuildSyntax = false) {
         console.log('FancyTracker: Re-highlighting all code blocks, force rebuild syntax:', forceRebuildSyntax);
@@ -571,7 +1265,8 @@ class PopupUI {
                 const wasExpanded = !codeBlock.classList.contains('truncated');
                 
                 let displayCode = originalText;
-                if (this.storage.prettifyEnabled) {
+                // Source-mapped code is already readable
+                if (this.storage.prettifyEnabled && !codeBlock.hasAttribute('data-source-mapped')) {
                     displayCode = this.prettifyJavaScript(originalText);
                 }
                 
@@ -729,6 +1424,25 @@ class PopupUI {
         return result;
     }
 
+    // Listeners passing the blocked/origin/removed filters, in their original order
+    // acrossTabs: listeners of other tabs too - the route switcher only knows the current tab's routes
+    filterListeners(listeners, acrossTabs = false) {
+        let filteredListeners;
+        if (this.showBlockedOnly) {
+            filteredListeners = listeners.filter(listener => this.storage.isListenerBlocked(listener));
+        } else {
+            filteredListeners = listeners.filter(listener => !this.storage.isListenerBlocked(listener));
+        }
+        filteredListeners = filteredListeners.filter(listener => this.matchesOriginFilter(listener) && (acrossTabs || this.matchesSegment(listener)));
+        if (this.storage.hideRemovedEnabled) {
+            filteredListeners = filteredListeners.filter(listener => !listener.removed);
+        }
+        if (this.storage.hideLibrariesEnabled && !this.showBlockedOnly) {
+            filteredListeners = filteredListeners.filter(listener => !this.storage.isThirdPartyLibrary(listener));
+        }
+        return filteredListeners;
+    }
+
     displayListeners(listeners, currentUrl, onRefresh, preserveScroll = false) {
         try {
             requestAnimationFrame(() => {
@@ -745,11 +1459,7 @@ class PopupUI {
 
                 let filteredListeners = listeners;
                 if (listeners) {
-                    if (this.showBlockedOnly) {
-                        filteredListeners = listeners.filter(listener => this.storage.isListenerBlocked(listener));
-                    } else {
-                        filteredListeners = listeners.filter(listener => !this.storage.isListenerBlocked(listener));
-                    }
+                    filteredListeners = this.groupByTarget(this.sortListeners(this.filterListeners(listeners)));
                 }
 
                 const countElement = document.getElementById('listener-count');
@@ -762,8 +1472,21 @@ class PopupUI {
                     if (this.showBlockedOnly) {
                         countElement.textContent = `${blockedCount} blocked listener${blockedCount !== 1 ? 's' : ''}`;
                     } else {
-                        const activeCount = totalCount - blockedCount;
+                        const removedCount = listeners ? listeners.filter(listener => listener.removed && !this.storage.isListenerBlocked(listener)).length : 0;
+                        const activeCount = totalCount - blockedCount - removedCount;
                         countElement.textContent = `${activeCount} active listener${activeCount !== 1 ? 's' : ''} (${blockedCount} blocked)`;
+                        if (removedCount > 0) {
+                            countElement.textContent += `, ${removedCount} removed`;
+                        }
+                        if (this.storage.hideLibrariesEnabled) {
+                            const libraryCount = listeners ? listeners.filter(listener => !this.storage.isListenerBlocked(listener) && this.storage.isThirdPartyLibrary(listener)).length : 0;
+                            if (libraryCount > 0) {
+                                countElement.textContent += `, ${libraryCount} from known libraries`;
+                            }
+                        }
+                    }
+                    if (this.originFilter !== 'all' || this.segmentFilter !== 'all' || this.storage.hideRemovedEnabled || this.storage.hideLibrariesEnabled) {
+                        countElement.textContent += ` - ${filteredListeners.length} shown`;
                     }
                 }
                 
@@ -790,8 +1513,18 @@ class PopupUI {
                 if (filteredListeners && filteredListeners.length > 0) {
                     const fragment = document.createDocumentFragment();
                     
+                    // Group headers only once more than one target type is present
+                    const groups = new Set(filteredListeners.map(listener => this.getTargetGroup(listener)));
+                    let currentGroup = null;
+                    
                     for(let i = 0; i < filteredListeners.length; i++) {
                         const listener = filteredListeners[i];
+                        const group = this.getTargetGroup(listener);
+                        if (groups.size > 1 && group !== currentGroup) {
+                            currentGroup = group;
+                            const count = filteredListeners.filter(item => this.getTargetGroup(item) === group).length;
+                            fragment.appendChild(this.createTargetGroupHeader(group, count));
+                        }
                         const listenerElement = this.createListenerElement(listener, i + 1, onRefresh);
                         fragment.appendChild(listenerElement);
                     }
@@ -813,7 +1546,24 @@ class PopupUI {
                         const totalCount = listeners ? listeners.length : 0;
                         const blockedCount = listeners ? listeners.filter(listener => this.storage.isListenerBlocked(listener)).length : 0;
                         
-                        if (totalCount > 0 && blockedCount === totalCount) {
+                        if (this.originFilter !== 'all' && totalCount > blockedCount) {
+                            emptyState.innerHTML = `
+                                <div class="empty-title">No matching listeners</div>
+                                <div class="empty-description">
+                                    No listeners match the "${this.ORIGIN_CHECK_LABELS[this.originFilter]}" filter.
+                                    Set the filter back to "All origin checks" to see everything.
+                                </div>
+                            `;
+                        } else if (this.storage.hideLibrariesEnabled && totalCount > blockedCount &&
+                            listeners.every(listener => this.storage.isListenerBlocked(listener) || this.storage.isThirdPartyLibrary(listener))) {
+                            emptyState.innerHTML = `
+                                <div class="empty-title">Only known libraries</div>
+                                <div class="empty-description">
+                                    Every listener on this page belongs to a known third-party library.
+                                    Turn off "Hide known third-party libraries" in the settings to see them.
+                                </div>
+                            `;
+                        } else if (totalCount > 0 && blockedCount === totalCount) {
                             emptyState.innerHTML = `
                                 <div class="empty-title">All listeners blocked</div>
                                 <div class="empty-description">
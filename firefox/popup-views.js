@@ -0,0 +1,1212 @@
+// Secondary popup views for FancyTracker (messages, frames, timeline, history, all tabs, known listeners, ...) - Firefox Compatible Version
+class PopupViews {
+    constructor(storage, ui) {
+        this.storage = storage;
+        this.ui = ui;
+
+        // What each tampering action means for the hooks
+        this.TAMPERING_ACTIONS = {
+            reverted: 'Put back to native code',
+            deleted: 'Deleted',
+            overwritten: 'Replaced by a function that may skip our hook',
+            wrapped: 'Wrapped by a function that still calls our hook'
+        };
+
+        this.HOPS_SEGMENT_REGEX = /\.frames\[(\d+)\]$/;
+        this.frameTreeState = new Map(); // Frames opened or closed by hand, by hops path
+        this.inventoryState = new Map(); // Sites opened or closed by hand in the all-tabs view
+        this.INVENTORY_PREVIEW_LENGTH = 160;
+
+        // Listeners removed this soon after being added are flagged on the timeline (ms)
+        this.SHORT_LIVED_THRESHOLD = 1000;
+        this.TIMELINE_LABELS = {
+            added: 'added',
+            removed: 'removed',
+            in: 'received',
+            out: 'sent',
+            navigation: 'navigated'
+        };
+    }
+
+    // Format a wall-clock timestamp as HH:MM:SS.mmm
+    formatTime(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    }
+
+    // Pretty-print JSON payloads, leave everything else as-is
+    formatMessageData(message) {
+        const data = message.data || '';
+        if (message.dataType === 'json' && !message.truncated) {
+            try {
+                return JSON.stringify(JSON.parse(data), null, 2);
+            } catch (e) {
+                // Fall through to raw data
+            }
+        }
+        return data;
+    }
+
+    // Update the shared header/count/status elements for a secondary view - title replaces the URL
+    updateHeader(currentUrl, countText, hasItems, title = null) {
+        const headerElement = document.getElementById('h');
+        if (headerElement) {
+            headerElement.textContent = title || this.ui.formatUrl(currentUrl);
+        }
+
+        const countElement = document.getElementById('listener-count');
+        if (countElement) {
+            countElement.textContent = countText;
+        }
+
+        const statusElement = document.getElementById('status-badge');
+        if (statusElement) {
+            statusElement.textContent = hasItems ? 'Active' : 'Idle';
+            statusElement.className = hasItems ? 'status-badge' : 'status-badge inactive';
+        }
+    }
+
+    // Show an empty state in the main container
+    showEmptyState(container, title, description) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+
+        const titleElement = document.createElement('div');
+        titleElement.className = 'empty-title';
+        titleElement.textContent = title;
+
+        const descriptionElement = document.createElement('div');
+        descriptionElement.className = 'empty-description';
+        descriptionElement.textContent = description;
+
+        emptyState.appendChild(titleElement);
+        emptyState.appendChild(descriptionElement);
+        container.appendChild(emptyState);
+    }
+
+    // Outgoing sends with a '*' targetOrigin or credential-looking keys get flagged
+    isFlaggedMessage(message) {
+        return message.direction === 'out' &&
+               (message.wildcard || (message.sensitiveKeys && message.sensitiveKeys.length > 0));
+    }
+
+    createMessageElement(message, index) {
+        const item = document.createElement('div');
+        item.className = 'message-item';
+        if (this.isFlaggedMessage(message)) {
+            item.classList.add('flagged');
+        }
+
+        const header = document.createElement('div');
+        header.className = 'listener-header';
+
+        const messageInfo = document.createElement('div');
+        messageInfo.className = 'listener-info';
+
+        const indexNumber = document.createElement('div');
+        indexNumber.className = 'index-number';
+        indexNumber.textContent = index;
+
+        const isOutgoing = message.direction === 'out';
+
+        const direction = document.createElement('div');
+        direction.className = isOutgoing ? 'message-direction out' : 'message-direction';
+        direction.textContent = isOutgoing ? 'sent' : 'received';
+
+        const kind = document.createElement('div');
+        kind.className = 'message-kind';
+        kind.textContent = message.channel !== undefined ? `${message.kind} "${message.channel}"` : (message.kind || 'window');
+
+        const route = document.createElement('div');
+        route.className = 'window-info';
+        const routeText = `${message.sourceHops || 'unknown'} → ${message.targetHops || 'unknown'}`;
+        route.textContent = routeText;
+        route.title = routeText;
+
+        // Received: sender origin. Sent: the targetOrigin the page asked for
+        const origin = document.createElement('div');
+        origin.className = 'domain-name';
+        if (isOutgoing) {
+            origin.textContent = message.kind && message.kind !== 'window' ? message.kind : `targetOrigin ${message.targetOrigin || '/'}`;
+            if (message.wildcard) {
+                origin.classList.add('message-wildcard');
+                origin.title = "Sent with targetOrigin '*' - any origin loaded in the target frame receives it";
+            }
+        } else {
+            origin.textContent = message.origin || 'no origin';
+            origin.title = message.origin || '';
+        }
+
+        messageInfo.appendChild(indexNumber);
+        messageInfo.appendChild(direction);
+        messageInfo.appendChild(kind);
+        messageInfo.appendChild(origin);
+        messageInfo.appendChild(route);
+
+        const messageMeta = document.createElement('div');
+        messageMeta.className = 'listener-actions';
+
+        if (message.sensitiveKeys && message.sensitiveKeys.length > 0) {
+            const sensitive = document.createElement('div');
+            sensitive.className = 'message-sensitive';
+            sensitive.textContent = 'sensitive';
+            sensitive.title = `Sensitive-looking keys: ${message.sensitiveKeys.join(', ')}`;
+            messageMeta.appendChild(sensitive);
+        }
+
+        if (message.ports > 0) {
+            const ports = document.createElement('div');
+            ports.className = 'message-ports';
+            ports.textContent = `${message.ports} port${message.ports !== 1 ? 's' : ''}`;
+            messageMeta.appendChild(ports);
+        }
+
+        const time = document.createElement('div');
+        time.className = 'message-time';
+        time.textContent = this.formatTime(message.timestamp);
+        messageMeta.appendChild(time);
+
+        header.appendChild(messageInfo);
+        header.appendChild(messageMeta);
+        item.appendChild(header);
+
+        // Sends carry the caller's stack
+        if (isOutgoing && message.stack) {
+            item.appendChild(this.ui.createStackSection(message.stack, message.fullstack, message.parent_url));
+        }
+
+        const dataSection = document.createElement('div');
+        dataSection.className = 'code-section';
+
+        const dataBlock = document.createElement('div');
+        dataBlock.className = 'message-data';
+        dataBlock.style.fontSize = `${this.storage.codeFontSize}px`;
+        dataBlock.textContent = this.formatMessageData(message);
+
+        dataSection.appendChild(dataBlock);
+
+        if (message.truncated) {
+            const truncatedNote = document.createElement('div');
+            truncatedNote.className = 'message-truncated';
+            truncatedNote.textContent = `Truncated - ${message.dataSize} characters total`;
+            dataSection.appendChild(truncatedNote);
+        }
+
+        item.appendChild(dataSection);
+
+        return item;
+    }
+
+    // Show the number of tampering events on the view tab
+    updateTamperingTab(events) {
+        const tab = document.querySelector('.view-tab[data-view="tampering"]');
+        if (!tab) return;
+
+        const list = events || [];
+        tab.textContent = list.length > 0 ? `Tampering (${list.length})` : 'Tampering';
+        tab.classList.toggle('alert', list.some(event => event.action !== 'wrapped'));
+    }
+
+    createTamperingElement(event, index) {
+        const item = document.createElement('div');
+        item.className = 'message-item';
+        if (event.action !== 'wrapped') {
+            item.classList.add('flagged');
+        }
+
+        const header = document.createElement('div');
+        header.className = 'listener-header';
+
+        const eventInfo = document.createElement('div');
+        eventInfo.className = 'listener-info';
+
+        const indexNumber = document.createElement('div');
+        indexNumber.className = 'index-number';
+        indexNumber.textContent = index;
+
+        const action = document.createElement('div');
+        action.className = `tampering-action ${event.action}`;
+        action.textContent = event.action;
+        action.title = this.TAMPERING_ACTIONS[event.action] || '';
+
+        const hook = document.createElement('div');
+        hook.className = 'domain-name';
+        hook.textContent = event.hook;
+        hook.title = event.href || '';
+
+        const frame = document.createElement('div');
+        frame.className = 'window-info';
+        frame.textContent = event.hops || 'unknown';
+
+        eventInfo.appendChild(indexNumber);
+        eventInfo.appendChild(action);
+        eventInfo.appendChild(hook);
+        eventInfo.appendChild(frame);
+
+        const eventMeta = document.createElement('div');
+        eventMeta.className = 'listener-actions';
+
+        if (event.restored) {
+            const restored = document.createElement('div');
+            restored.className = 'message-ports';
+            restored.textContent = 'restored';
+            restored.title = 'FancyTracker put its hook back';
+            eventMeta.appendChild(restored);
+        }
+
+        const time = document.createElement('div');
+        time.className = 'message-time';
+        time.textContent = this.formatTime(event.timestamp);
+        eventMeta.appendChild(time);
+
+        header.appendChild(eventInfo);
+        header.appendChild(eventMeta);
+        item.appendChild(header);
+
+        // What the page left in place of the hook
+        if (event.code) {
+            const codeSection = document.createElement('div');
+            codeSection.className = 'code-section';
+
+            const codeBlock = document.createElement('div');
+            codeBlock.className = 'message-data';
+            codeBlock.style.fontSize = `${this.storage.codeFontSize}px`;
+            codeBlock.textContent = event.code;
+
+            codeSection.appendChild(codeBlock);
+            item.appendChild(codeSection);
+        }
+
+        return item;
+    }
+
+    // Newest tampering events first
+    displayTampering(events, currentUrl, preserveScroll = false) {
+        try {
+            requestAnimationFrame(() => {
+                let savedScrollTop = 0;
+                const contentElement = document.querySelector('.content');
+                if (preserveScroll && contentElement) {
+                    savedScrollTop = contentElement.scrollTop;
+                }
+
+                const list = events || [];
+                const restoredCount = list.filter(event => event.restored).length;
+                this.updateHeader(currentUrl,
+                    `${list.length} tampering event${list.length !== 1 ? 's' : ''} (${restoredCount} restored)`, list.length > 0);
+
+                const container = document.getElementById('x');
+                if (!container) return;
+
+                container.innerHTML = '';
+
+                if (list.length > 0) {
+                    const fragment = document.createDocumentFragment();
+                    for (let i = list.length - 1; i >= 0; i--) {
+                        fragment.appendChild(this.createTamperingElement(list[i], i + 1));
+                    }
+                    container.appendChild(fragment);
+                } else {
+                    this.showEmptyState(container, 'No hook tampering',
+                        'The page has left the FancyTracker hooks alone so far.');
+                }
+
+                if (preserveScroll && contentElement && savedScrollTop > 0) {
+                    setTimeout(() => {
+                        contentElement.scrollTop = savedScrollTop;
+                    }, 0);
+                }
+            });
+        } catch (error) {
+            console.error('FancyTracker: Error building tampering list:', error);
+        }
+    }
+
+    // Newest messages first
+    displayMessages(messages, currentUrl, preserveScroll = false) {
+        try {
+            requestAnimationFrame(() => {
+                let savedScrollTop = 0;
+                const contentElement = document.querySelector('.content');
+                if (preserveScroll && contentElement) {
+                    savedScrollTop = contentElement.scrollTop;
+                }
+
+                const list = messages || [];
+                const sentCount = list.filter(message => message.direction === 'out').length;
+                const flaggedCount = list.filter(message => this.isFlaggedMessage(message)).length;
+                this.updateHeader(currentUrl,
+                    `${list.length - sentCount} received, ${sentCount} sent (${flaggedCount} flagged)`, list.length > 0);
+
+                const container = document.getElementById('x');
+                if (!container) return;
+
+                container.innerHTML = '';
+
+                if (list.length > 0) {
+                    const fragment = document.createDocumentFragment();
+                    // Cross-origin sends bypass every hook - say so before someone looks for them
+                    const note = document.createElement('div');
+                    note.className = 'messages-note';
+                    note.textContent = 'Sends into cross-origin frames can\'t be hooked - they only show up as received in the frame that gets them.';
+                    fragment.appendChild(note);
+                    for (let i = list.length - 1; i >= 0; i--) {
+                        fragment.appendChild(this.createMessageElement(list[i], i + 1));
+                    }
+                    container.appendChild(fragment);
+                } else {
+                    this.showEmptyState(container, 'No messages captured',
+                        'No postMessage traffic has reached this page yet. Interact with the page to trigger some.');
+                }
+
+                if (preserveScroll && contentElement && savedScrollTop > 0) {
+                    setTimeout(() => {
+                        contentElement.scrollTop = savedScrollTop;
+                    }, 0);
+                }
+            });
+        } catch (error) {
+            console.error('FancyTracker: Error building message list:', error);
+        }
+    }
+
+    // Merge frame reports and listeners into a tree keyed by hops path. Listeners from windows
+    // outside the tab's frame tree (popups, unknown paths) are returned separately.
+    buildFrameTree(frames, listeners) {
+        const nodes = new Map();
+        const getNode = (hops) => {
+            if (!nodes.has(hops)) {
+                nodes.set(hops, { hops: hops, frame: null, element: null, listeners: [], children: [] });
+            }
+            return nodes.get(hops);
+        };
+
+        const root = getNode('top');
+        Object.values(frames || {}).forEach(frame => {
+            getNode(frame.hops).frame = frame;
+            (frame.children || []).forEach(child => {
+                getNode(`${frame.hops}.frames[${child.index}]`).element = child;
+            });
+        });
+
+        const others = [];
+        listeners.forEach(listener => {
+            if (typeof listener.hops === 'string' && listener.hops.split('.')[0] === 'top') {
+                getNode(listener.hops).listeners.push(listener);
+            } else {
+                others.push(listener);
+            }
+        });
+
+        // Hang every node under its parent, creating frames we only know from a deeper path
+        const attach = (node) => {
+            const match = node.hops.match(this.HOPS_SEGMENT_REGEX);
+            if (!match) return;
+            node.index = parseInt(match[1], 10);
+            const parent = getNode(node.hops.substring(0, match.index));
+            if (!parent.children.includes(node)) {
+                parent.children.push(node);
+                attach(parent);
+            }
+        };
+        Array.from(nodes.values()).forEach(attach);
+        nodes.forEach(node => node.children.sort((a, b) => a.index - b.index));
+
+        return { root: root, others: others, frameCount: nodes.size };
+    }
+
+    // Listeners in a frame and all frames below it
+    countTreeListeners(node) {
+        return node.children.reduce((sum, child) => sum + this.countTreeListeners(child), node.listeners.length);
+    }
+
+    createFrameChip(className, text, title) {
+        const chip = document.createElement('span');
+        chip.className = `frame-chip ${className}`;
+        chip.textContent = text;
+        if (title) chip.title = title;
+        return chip;
+    }
+
+    // One collapsible frame with its listeners and child frames
+    createFrameNode(node, onRefresh, counter) {
+        const frame = node.frame || {};
+        const element = node.element || {};
+        const total = this.countTreeListeners(node);
+
+        const item = document.createElement('div');
+        item.className = 'frame-node';
+
+        const header = document.createElement('div');
+        header.className = 'frame-header';
+        header.title = [
+            node.hops,
+            frame.url ? `URL: ${frame.url}` : 'Not reported - FancyTracker may not run in this frame',
+            element.src ? `src: ${element.src}` : '',
+            frame.name ? `window.name: ${frame.name}` : ''
+        ].filter(Boolean).join('\n');
+
+        const toggle = document.createElement('span');
+        toggle.className = 'frame-toggle';
+
+        const label = document.createElement('span');
+        label.className = 'frame-label';
+        label.textContent = node.hops === 'top' ? 'top' : node.hops.substring(node.hops.lastIndexOf('.') + 1);
+
+        const origin = document.createElement('span');
+        origin.className = 'frame-origin';
+        origin.textContent = frame.origin || (frame.url ? this.ui.formatUrl(frame.url) : 'unknown origin');
+
+        header.appendChild(toggle);
+        header.appendChild(label);
+        if (element.tag && element.tag !== 'iframe') {
+            header.appendChild(this.createFrameChip('tag', `<${element.tag}>`));
+        }
+        if (element.id) {
+            header.appendChild(this.createFrameChip('id', `#${element.id}`, 'iframe id'));
+        }
+        const name = element.name || frame.name;
+        if (name) {
+            header.appendChild(this.createFrameChip('name', `name="${name}"`, element.name ? 'iframe name attribute' : 'window.name'));
+        }
+        header.appendChild(origin);
+        if (element.sandbox !== null && element.sandbox !== undefined) {
+            header.appendChild(this.createFrameChip('sandbox', element.sandbox ? `sandbox: ${element.sandbox}` : 'sandbox',
+                element.sandbox ? `Sandboxed with ${element.sandbox}` : 'Sandboxed with no permissions'));
+        }
+
+        const count = document.createElement('span');
+        count.className = `frame-count${total > 0 ? ' has-listeners' : ''}`;
+        count.textContent = total;
+        count.title = `${node.listeners.length} listener${node.listeners.length !== 1 ? 's' : ''} in this frame, ${total} including child frames`;
+        header.appendChild(count);
+
+        const body = document.createElement('div');
+        body.className = 'frame-body';
+
+        if (frame.url) {
+            const url = document.createElement('div');
+            url.className = 'frame-url';
+            url.textContent = frame.url;
+            body.appendChild(url);
+        }
+
+        this.ui.sortListeners(node.listeners).forEach(listener => {
+            body.appendChild(this.ui.createListenerElement(listener, ++counter.index, onRefresh));
+        });
+        node.children.forEach(child => body.appendChild(this.createFrameNode(child, onRefresh, counter)));
+
+        // Frames without listeners anywhere below start closed
+        const setOpen = (open) => {
+            body.style.display = open ? 'block' : 'none';
+            toggle.textContent = open ? '\u25BE' : '\u25B8';
+        };
+        setOpen(this.frameTreeState.has(node.hops) ? this.frameTreeState.get(node.hops) : total > 0);
+        header.onclick = () => {
+            const open = body.style.display === 'none';
+            this.frameTreeState.set(node.hops, open);
+            setOpen(open);
+        };
+
+        item.appendChild(header);
+        item.appendChild(body);
+        return item;
+    }
+
+    // Listeners laid out in the tab's frame hierarchy
+    displayFrameTree(frames, listeners, currentUrl, onRefresh, preserveScroll = false) {
+        try {
+            requestAnimationFrame(() => {
+                let savedScrollTop = 0;
+                const contentElement = document.querySelector('.content');
+                if (preserveScroll && contentElement) {
+                    savedScrollTop = contentElement.scrollTop;
+                }
+
+                const shown = this.ui.filterListeners(listeners || []);
+                const tree = this.buildFrameTree(frames, shown);
+                this.updateHeader(currentUrl,
+                    `${tree.frameCount} frame${tree.frameCount !== 1 ? 's' : ''}, ${shown.length} listener${shown.length !== 1 ? 's' : ''} shown`,
+                    shown.length > 0);
+
+                const container = document.getElementById('x');
+                if (!container) return;
+
+                container.innerHTML = '';
+
+                const fragment = document.createDocumentFragment();
+                const counter = { index: 0 };
+                fragment.appendChild(this.createFrameNode(tree.root, onRefresh, counter));
+
+                if (tree.others.length > 0) {
+                    const othersHeader = document.createElement('div');
+                    othersHeader.className = 'target-group-header';
+                    othersHeader.textContent = `Other windows (${tree.others.length})`;
+                    othersHeader.title = 'Listeners from windows outside this tab\'s frames, e.g. popups';
+                    fragment.appendChild(othersHeader);
+                    tree.others.forEach(listener => {
+                        fragment.appendChild(this.ui.createListenerElement(listener, ++counter.index, onRefresh));
+                    });
+                }
+                container.appendChild(fragment);
+
+                if (preserveScroll && contentElement && savedScrollTop > 0) {
+                    setTimeout(() => {
+                        contentElement.scrollTop = savedScrollTop;
+                    }, 0);
+                }
+            });
+        } catch (error) {
+            console.error('FancyTracker: Error building frame tree:', error);
+        }
+    }
+
+    // Short one-line description of a listener for the timeline
+    describeTimelineListener(listener) {
+        const code = (listener.listener || '').replace(/\s+/g, ' ');
+        const name = listener.handleEventObject ? `${listener.handleEventObject}.handleEvent ` : '';
+        const target = listener.target && listener.target !== 'window' ? `[${this.ui.TARGET_LABELS[listener.target] || listener.target}] ` : '';
+        return target + name + (code.length > 80 ? code.substring(0, 77) + '...' : code);
+    }
+
+    // Registrations, removals, messages and navigations grouped by the frame they happened in
+    collectTimelineEvents(listeners, messages, segments) {
+        const lanes = new Map();
+        const add = (hops, event) => {
+            if (!event.timestamp) return;
+            const key = hops || 'unknown';
+            if (!lanes.has(key)) lanes.set(key, []);
+            lanes.get(key).push(event);
+        };
+
+        listeners.forEach(listener => {
+            const label = this.describeTimelineListener(listener);
+            // Records from before registration history was kept only know when they were removed
+            const events = listener.events || [
+                { type: 'added', id: listener.id, timestamp: listener.timestamp, frameTime: listener.frameTime },
+                { type: 'removed', id: listener.id, reason: listener.removedReason, timestamp: listener.removedAt, frameTime: null }
+            ].filter(event => event.type === 'added' || listener.removed);
+
+            events.forEach((event, index) => {
+                const timelineEvent = {
+                    type: event.type,
+                    timestamp: event.timestamp,
+                    frameTime: event.frameTime,
+                    label: label,
+                    detail: event.type === 'removed' ? (this.ui.REMOVAL_REASONS[event.reason] || event.reason || '') : ''
+                };
+                if (event.type === 'added') {
+                    const removal = events.slice(index + 1).find(item => item.type === 'removed' && item.id === event.id);
+                    if (removal && removal.timestamp - event.timestamp < this.SHORT_LIVED_THRESHOLD) {
+                        timelineEvent.shortLived = removal.timestamp - event.timestamp;
+                    }
+                }
+                add(listener.hops, timelineEvent);
+            });
+        });
+
+        messages.forEach(message => {
+            const preview = (message.data || '').replace(/\s+/g, ' ');
+            add(message.direction === 'out' ? message.sourceHops : message.targetHops, {
+                type: message.direction === 'out' ? 'out' : 'in',
+                timestamp: message.timestamp,
+                frameTime: message.frameTime,
+                label: message.direction === 'out'
+                    ? `to ${message.targetHops || message.kind} (${message.targetOrigin || 'no targetOrigin'})`
+                    : `from ${message.origin || message.sourceHops || message.kind}`,
+                detail: preview.length > 80 ? preview.substring(0, 77) + '...' : preview
+            });
+        });
+
+        ((segments && segments.list) || []).filter(segment => segment.kind !== 'load').forEach(segment => {
+            add('top', {
+                type: 'navigation',
+                timestamp: segment.startedAt,
+                frameTime: segment.frameTime,
+                label: `${segment.kind} to ${this.ui.formatRoute(segment.url)}`,
+                detail: ''
+            });
+        });
+
+        lanes.forEach(events => events.sort((a, b) => a.timestamp - b.timestamp ||
+            (a.frameTime !== null && b.frameTime !== null ? a.frameTime - b.frameTime : 0)));
+        return lanes;
+    }
+
+    // One frame: a track with every event placed on the tab-wide time range, then the event list
+    createTimelineLane(hops, events, frame, range) {
+        const lane = document.createElement('div');
+        lane.className = 'timeline-lane';
+
+        const header = document.createElement('div');
+        header.className = 'timeline-lane-header';
+        const label = document.createElement('span');
+        label.className = 'frame-label';
+        label.textContent = hops;
+        header.appendChild(label);
+        if (frame && (frame.origin || frame.url)) {
+            const origin = document.createElement('span');
+            origin.className = 'frame-origin';
+            origin.textContent = frame.origin || frame.url;
+            origin.title = frame.url || '';
+            header.appendChild(origin);
+        }
+        lane.appendChild(header);
+
+        const track = document.createElement('div');
+        track.className = 'timeline-track';
+        const span = range.end - range.start;
+        events.forEach(event => {
+            const marker = document.createElement('div');
+            marker.className = `timeline-marker ${event.type}${event.shortLived !== undefined ? ' short-lived' : ''}`;
+            marker.style.left = `${span > 0 ? ((event.timestamp - range.start) / span) * 100 : 0}%`;
+            marker.title = `${this.formatTime(event.timestamp)} ${this.TIMELINE_LABELS[event.type]}: ${event.label}`;
+            track.appendChild(marker);
+        });
+        lane.appendChild(track);
+
+        const list = document.createElement('div');
+        list.className = 'timeline-events';
+        events.forEach(event => {
+            const row = document.createElement('div');
+            row.className = `timeline-event${event.shortLived !== undefined ? ' short-lived' : ''}`;
+
+            const frameTime = document.createElement('span');
+            frameTime.className = 'timeline-frame-time';
+            frameTime.textContent = event.frameTime !== null && event.frameTime !== undefined ? `+${event.frameTime.toFixed(1)} ms` : '';
+            frameTime.title = 'Since the frame\'s navigation start (performance.now())';
+
+            const clock = document.createElement('span');
+            clock.className = 'timeline-clock';
+            clock.textContent = this.formatTime(event.timestamp);
+
+            const type = document.createElement('span');
+            type.className = `timeline-type ${event.type}`;
+            type.textContent = this.TIMELINE_LABELS[event.type];
+
+            const text = document.createElement('span');
+            text.className = 'timeline-label';
+            text.textContent = event.label + (event.detail ? ` - ${event.detail}` : '');
+            text.title = text.textContent;
+
+            row.appendChild(frameTime);
+            row.appendChild(clock);
+            row.appendChild(type);
+            if (event.shortLived !== undefined) {
+                const note = document.createElement('span');
+                note.className = 'timeline-short-lived';
+                note.textContent = `removed after ${event.shortLived} ms`;
+                note.title = 'Only registered briefly - check what it accepted while it was there';
+                row.appendChild(note);
+            }
+            row.appendChild(text);
+            list.appendChild(row);
+        });
+        lane.appendChild(list);
+
+        return lane;
+    }
+
+    // Per-frame timeline of listener registrations, removals, messages and navigations
+    displayTimeline(listeners, messages, segments, frames, currentUrl, preserveScroll = false) {
+        try {
+            requestAnimationFrame(() => {
+                let savedScrollTop = 0;
+                const contentElement = document.querySelector('.content');
+                if (preserveScroll && contentElement) {
+                    savedScrollTop = contentElement.scrollTop;
+                }
+
+                const lanes = this.collectTimelineEvents(this.ui.filterListeners(listeners || []), messages || [], segments);
+                const all = Array.from(lanes.values()).flat();
+                const shortLived = all.filter(event => event.shortLived !== undefined).length;
+                this.updateHeader(currentUrl,
+                    `${all.length} event${all.length !== 1 ? 's' : ''} in ${lanes.size} frame${lanes.size !== 1 ? 's' : ''} (${shortLived} short-lived)`,
+                    all.length > 0);
+
+                const container = document.getElementById('x');
+                if (!container) return;
+
+                container.innerHTML = '';
+
+                if (all.length > 0) {
+                    const range = {
+                        start: Math.min(...all.map(event => event.timestamp)),
+                        end: Math.max(...all.map(event => event.timestamp))
+                    };
+                    const order = Array.from(lanes.keys()).sort((a, b) => (a === 'top' ? -1 : b === 'top' ? 1 : a.localeCompare(b)));
+
+                    const fragment = document.createDocumentFragment();
+                    order.forEach(hops => {
+                        fragment.appendChild(this.createTimelineLane(hops, lanes.get(hops), (frames || {})[hops], range));
+                    });
+                    container.appendChild(fragment);
+                } else {
+                    this.showEmptyState(container, 'Nothing on the timeline',
+                        'No timed registrations or messages yet. Reload the page to record them from the start.');
+                }
+
+                if (preserveScroll && contentElement && savedScrollTop > 0) {
+                    setTimeout(() => {
+                        contentElement.scrollTop = savedScrollTop;
+                    }, 0);
+                }
+            });
+        } catch (error) {
+            console.error('FancyTracker: Error building timeline:', error);
+        }
+    }
+
+    // "4m 12s"-style length of a stay on a page
+    formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    // One page of the tab - click to show its listeners, messages and frames
+    createHistoryElement(page, isCurrent, isSelected, onSelect) {
+        const item = document.createElement('div');
+        item.className = `history-item${isSelected ? ' selected' : ''}`;
+        item.title = page.url || '';
+        item.onclick = () => onSelect(page.key);
+
+        const header = document.createElement('div');
+        header.className = 'history-header';
+
+        const url = document.createElement('span');
+        url.className = 'history-url';
+        url.textContent = this.ui.formatUrl(page.url);
+        header.appendChild(url);
+
+        if (isCurrent) {
+            const current = document.createElement('span');
+            current.className = 'history-current';
+            current.textContent = 'Current';
+            header.appendChild(current);
+        }
+        item.appendChild(header);
+
+        const listeners = page.listeners || [];
+        const removed = listeners.filter(listener => listener.removed).length;
+        const routes = page.segments && page.segments.list ? page.segments.list.length : 1;
+        const details = [
+            page.loadedAt ? `loaded ${this.formatTime(page.loadedAt)}` : 'load time unknown',
+            page.leftAt && page.loadedAt ? `stayed ${this.formatDuration(page.leftAt - page.loadedAt)}` : null,
+            `${listeners.length} listener${listeners.length !== 1 ? 's' : ''}${removed ? ` (${removed} removed)` : ''}`,
+            `${(page.messages || []).length} message${(page.messages || []).length !== 1 ? 's' : ''}`,
+            routes > 1 ? `${routes} routes` : null
+        ].filter(Boolean);
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = details.join(' · ');
+        item.appendChild(meta);
+
+        return item;
+    }
+
+    // Pages visited in the tab, the live one first, then earlier ones newest first
+    displayHistory(history, livePage, selectedKey, onSelect, preserveScroll = false) {
+        try {
+            requestAnimationFrame(() => {
+                let savedScrollTop = 0;
+                const contentElement = document.querySelector('.content');
+                if (preserveScroll && contentElement) {
+                    savedScrollTop = contentElement.scrollTop;
+                }
+
+                const pages = history ? history.pages.slice().reverse() : [];
+                this.updateHeader(livePage.url,
+                    `${pages.length} earlier page${pages.length !== 1 ? 's' : ''} in this tab`, pages.length > 0);
+
+                const container = document.getElementById('x');
+                if (!container) return;
+
+                container.innerHTML = '';
+
+                const fragment = document.createDocumentFragment();
+                fragment.appendChild(this.createHistoryElement(livePage, true, !selectedKey, onSelect));
+                pages.forEach(page => {
+                    fragment.appendChild(this.createHistoryElement(page, false, page.key === selectedKey, onSelect));
+                });
+                container.appendChild(fragment);
+
+                if (pages.length === 0) {
+                    this.showEmptyState(container, 'No earlier pages',
+                        'Pages this tab navigates away from are kept here with their listeners and messages.');
+                }
+
+                if (preserveScroll && contentElement && savedScrollTop > 0) {
+                    setTimeout(() => {
+                        contentElement.scrollTop = savedScrollTop;
+                    }, 0);
+                }
+            });
+        } catch (error) {
+            console.error('FancyTracker: Error building page history:', error);
+        }
+    }
+
+    // Listeners of every open tab grouped by top-level site, then script URL, with identical
+    // code from different tabs or frames merged into one entry
+    collectInventory(listenersByTab, tabs) {
+        const sites = new Map();
+        let tabCount = 0;
+
+        for (const [tabId, listeners] of Object.entries(listenersByTab || {})) {
+            const tab = tabs.get(Number(tabId));
+            if (!tab) continue;
+
+            const shown = this.ui.filterListeners(listeners || [], true);
+            if (shown.length === 0) continue;
+            tabCount++;
+
+            const siteKey = this.storage.knowledgeBase.getSite(tab.url);
+            if (!sites.has(siteKey)) {
+                sites.set(siteKey, { site: siteKey, tabs: new Set(), scripts: new Map() });
+            }
+            const site = sites.get(siteKey);
+            site.tabs.add(tab.id);
+
+            shown.forEach(listener => {
+                const scriptUrl = this.storage.extractJsUrlFromStack(listener.stack, listener.fullstack) || '';
+                if (!site.scripts.has(scriptUrl)) {
+                    site.scripts.set(scriptUrl, new Map());
+                }
+                const entries = site.scripts.get(scriptUrl);
+                if (!entries.has(listener.listener)) {
+                    entries.set(listener.listener, { listener: listener, tabs: new Map(), count: 0 });
+                }
+                const entry = entries.get(listener.listener);
+                entry.count++;
+                entry.tabs.set(tab.id, tab);
+            });
+        }
+
+        return { sites: Array.from(sites.values()), tabCount: tabCount };
+    }
+
+    // One deduplicated listener with the tabs it was seen in
+    createInventoryEntry(entry, currentTabId, onJump) {
+        const listener = entry.listener;
+        const item = document.createElement('div');
+        item.className = 'inventory-entry';
+
+        const info = document.createElement('div');
+        info.className = 'inventory-info';
+        this.appendAnalysisBadges(info, listener.listener);
+
+        const library = this.storage.getLibrary(listener);
+        if (library) {
+            info.appendChild(this.createFrameChip('library', library.name, library.advisory));
+        }
+
+        const origin = document.createElement('span');
+        origin.className = 'inventory-origin';
+        origin.textContent = (listener.context && listener.context.origin) || listener.domain || 'unknown';
+        origin.title = `${listener.hops || 'direct'}${entry.count > 1 ? `\nRegistered ${entry.count} times` : ''}`;
+        info.appendChild(origin);
+
+        entry.tabs.forEach(tab => {
+            const chip = this.createFrameChip(`tab${tab.id === currentTabId ? ' current' : ''}`,
+                tab.title || this.ui.formatUrl(tab.url), `Go to tab: ${tab.url}`);
+            chip.onclick = (e) => {
+                e.stopPropagation();
+                onJump(tab);
+            };
+            info.appendChild(chip);
+        });
+        item.appendChild(info);
+        item.appendChild(this.createCodePreview(listener.listener));
+
+        return item;
+    }
+
+    // Origin check and risk badges of a piece of listener code
+    appendAnalysisBadges(container, code) {
+        const originCheck = this.ui.analysis.classifyOriginCheck(code);
+        const originBadge = document.createElement('span');
+        originBadge.className = `origin-badge ${originCheck.level}`;
+        originBadge.textContent = this.ui.ORIGIN_CHECK_LABELS[originCheck.level];
+        originBadge.title = originCheck.reasons.join('\n');
+        container.appendChild(originBadge);
+
+        const risk = this.ui.analysis.scoreListener(code);
+        const riskBadge = document.createElement('span');
+        riskBadge.className = `risk-badge ${risk.level}`;
+        riskBadge.textContent = `Risk ${risk.score}`;
+        riskBadge.title = risk.sinks.length > 0 ? `Sinks: ${risk.sinks.map(sink => sink.label).join(', ')}` : 'No dangerous sinks found';
+        container.appendChild(riskBadge);
+    }
+
+    // One-line code preview that unfolds to the whole listener on click
+    createCodePreview(code) {
+        code = code || '';
+        const preview = document.createElement('div');
+        preview.className = 'inventory-code';
+        const setExpanded = (expanded) => {
+            preview.classList.toggle('expanded', expanded);
+            preview.textContent = expanded || code.length <= this.INVENTORY_PREVIEW_LENGTH
+                ? code
+                : `${code.substring(0, this.INVENTORY_PREVIEW_LENGTH)}...`;
+        };
+        setExpanded(false);
+        preview.title = 'Click to show the whole listener';
+        preview.onclick = () => setExpanded(!preview.classList.contains('expanded'));
+        return preview;
+    }
+
+    // One collapsible site with its scripts and their listeners
+    createInventorySite(site, currentTabId, onJump) {
+        const item = document.createElement('div');
+        item.className = 'frame-node';
+
+        const total = Array.from(site.scripts.values()).reduce((sum, entries) => sum + entries.size, 0);
+
+        const header = document.createElement('div');
+        header.className = 'frame-header';
+
+        const toggle = document.createElement('span');
+        toggle.className = 'frame-toggle';
+
+        const label = document.createElement('span');
+        label.className = 'frame-origin';
+        label.textContent = site.site;
+
+        const tabs = this.createFrameChip('tabs', `${site.tabs.size} tab${site.tabs.size !== 1 ? 's' : ''}`);
+
+        const count = document.createElement('span');
+        count.className = `frame-count${total > 0 ? ' has-listeners' : ''}`;
+        count.textContent = total;
+        count.title = `${total} distinct listener${total !== 1 ? 's' : ''} from ${site.scripts.size} script${site.scripts.size !== 1 ? 's' : ''}`;
+
+        header.appendChild(toggle);
+        header.appendChild(label);
+        header.appendChild(tabs);
+        header.appendChild(count);
+
+        const body = document.createElement('div');
+        body.className = 'frame-body';
+
+        const scripts = Array.from(site.scripts.keys()).sort((a, b) => (a === '' ? 1 : b === '' ? -1 : a.localeCompare(b)));
+        scripts.forEach(scriptUrl => {
+            const script = document.createElement('div');
+            script.className = 'inventory-script';
+            script.textContent = scriptUrl || 'Inline or unknown script';
+            script.title = scriptUrl;
+            body.appendChild(script);
+
+            this.ui.sortListeners(Array.from(site.scripts.get(scriptUrl).values()).map(entry => entry.listener))
+                .forEach(listener => {
+                    body.appendChild(this.createInventoryEntry(site.scripts.get(scriptUrl).get(listener.listener), currentTabId, onJump));
+                });
+        });
+
+        const setOpen = (open) => {
+            body.style.display = open ? 'block' : 'none';
+            toggle.textContent = open ? '\u25BE' : '\u25B8';
+        };
+        setOpen(this.inventoryState.has(site.site) ? this.inventoryState.get(site.site) : true);
+        header.onclick = () => {
+            const open = body.style.display === 'none';
+            this.inventoryState.set(site.site, open);
+            setOpen(open);
+        };
+
+        item.appendChild(header);
+        item.appendChild(body);
+        return item;
+    }
+
+    // Listener inventory across every open tab. tabs maps tab IDs to open tabs
+    displayAllTabs(listenersByTab, tabs, currentTabId, onJump, preserveScroll = false) {
+        try {
+            requestAnimationFrame(() => {
+                let savedScrollTop = 0;
+                const contentElement = document.querySelector('.content');
+                if (preserveScroll && contentElement) {
+                    savedScrollTop = contentElement.scrollTop;
+                }
+
+                const inventory = this.collectInventory(listenersByTab, tabs);
+                const distinct = inventory.sites.reduce((sum, site) =>
+                    sum + Array.from(site.scripts.values()).reduce((count, entries) => count + entries.size, 0), 0);
+
+                this.updateHeader(null,
+                    `${distinct} distinct listener${distinct !== 1 ? 's' : ''} in ${inventory.tabCount} tab${inventory.tabCount !== 1 ? 's' : ''}, ${inventory.sites.length} site${inventory.sites.length !== 1 ? 's' : ''}`,
+                    distinct > 0, 'All tabs');
+
+                const container = document.getElementById('x');
+                if (!container) return;
+
+                container.innerHTML = '';
+
+                if (inventory.sites.length > 0) {
+                    const fragment = document.createDocumentFragment();
+                    inventory.sites
+                        .sort((a, b) => a.site.localeCompare(b.site))
+                        .forEach(site => fragment.appendChild(this.createInventorySite(site, currentTabId, onJump)));
+                    container.appendChild(fragment);
+                } else {
+                    this.showEmptyState(container, 'No listeners in any tab',
+                        'None of the open tabs has registered a postMessage listener that matches the current filters.');
+                }
+
+                if (preserveScroll && contentElement && savedScrollTop > 0) {
+                    setTimeout(() => {
+                        contentElement.scrollTop = savedScrollTop;
+                    }, 0);
+                }
+            });
+        } catch (error) {
+            console.error('FancyTracker: Error building all-tabs inventory:', error);
+        }
+    }
+
+    // Listeners first seen during the current visit of a site that was visited before
+    isNewSinceLastVisit(entry, site) {
+        return !!site && site.previousVisit !== null && entry.firstSeen >= site.lastVisit;
+    }
+
+    // Stored entries have no stack - the blocked URL list is checked against their script URL
+    isKnownEntryBlocked(entry) {
+        return !!this.storage.isListenerBlocked({ listener: entry.code }) ||
+               (!!entry.scriptUrl && this.storage.blockedUrls.includes(entry.scriptUrl));
+    }
+
+    // One listener from the knowledge base - no live page behind it, just what was stored
+    createKnownEntry(entry, site) {
+        const item = document.createElement('div');
+        item.className = 'inventory-entry';
+
+        const info = document.createElement('div');
+        info.className = 'inventory-info';
+        if (this.isNewSinceLastVisit(entry, site)) {
+            const badge = document.createElement('span');
+            badge.className = 'new-badge';
+            badge.textContent = 'New';
+            badge.title = `Not seen before this visit - previous visit ${new Date(site.previousVisit).toLocaleString()}`;
+            info.appendChild(badge);
+        }
+        this.appendAnalysisBadges(info, entry.code);
+
+        const library = this.storage.libraryDetector.findByCode(entry.code) || this.storage.libraryDetector.findByUrl(entry.scriptUrl);
+        if (library) {
+            info.appendChild(this.createFrameChip('library', library.name, library.advisory));
+        }
+
+        const origin = document.createElement('span');
+        origin.className = 'inventory-origin';
+        origin.textContent = entry.origin || 'unknown';
+        origin.title = `${entry.hops || 'direct'}\nLast seen on ${entry.lastUrl || 'unknown page'}\nSHA-256 ${entry.hash}`;
+        info.appendChild(origin);
+
+        const seen = document.createElement('span');
+        seen.className = 'known-seen';
+        seen.textContent = `first ${new Date(entry.firstSeen).toLocaleDateString()}, last ${new Date(entry.lastSeen).toLocaleDateString()}, ${entry.seenCount}x`;
+        seen.title = `First seen ${new Date(entry.firstSeen).toLocaleString()}\nLast seen ${new Date(entry.lastSeen).toLocaleString()}\nRecorded ${entry.seenCount} time${entry.seenCount !== 1 ? 's' : ''}`;
+        info.appendChild(seen);
+
+        item.appendChild(info);
+        item.appendChild(this.createCodePreview(entry.code + (entry.truncated ? '\n/* cut - too long to keep */' : '')));
+        return item;
+    }
+
+    // A site's listeners from the knowledge base, by script, plus a switcher for the other sites
+    displayKnowledge(sites, selectedSite, known, onSelectSite, preserveScroll = false) {
+        try {
+            requestAnimationFrame(() => {
+                let savedScrollTop = 0;
+                const contentElement = document.querySelector('.content');
+                if (preserveScroll && contentElement) {
+                    savedScrollTop = contentElement.scrollTop;
+                }
+
+                const site = known ? known.site : null;
+                const entries = known ? known.listeners.filter(entry => !this.isKnownEntryBlocked(entry)) : [];
+                const newCount = entries.filter(entry => this.isNewSinceLastVisit(entry, site)).length;
+                this.updateHeader(null,
+                    `${entries.length} known listener${entries.length !== 1 ? 's' : ''} (${newCount} new since last visit)`,
+                    entries.length > 0, selectedSite || 'Known listeners');
+
+                const container = document.getElementById('x');
+                if (!container) return;
+
+                container.innerHTML = '';
+
+                if (sites.length === 0) {
+                    this.showEmptyState(container, 'Knowledge base is empty',
+                        'Listeners found on http(s) pages are remembered here per site, across browser sessions.');
+                    return;
+                }
+
+                const fragment = document.createDocumentFragment();
+
+                const bar = document.createElement('div');
+                bar.className = 'segment-bar';
+                const label = document.createElement('span');
+                label.className = 'segment-label';
+                label.textContent = 'Site';
+                const select = document.createElement('select');
+                select.className = 'view-select';
+                sites.forEach(item => {
+                    const option = document.createElement('option');
+                    option.value = item.site;
+                    option.textContent = `${item.site} (${item.listenerCount})`;
+                    option.selected = item.site === selectedSite;
+                    select.appendChild(option);
+                });
+                select.onchange = () => onSelectSite(select.value);
+                bar.appendChild(label);
+                bar.appendChild(select);
+                fragment.appendChild(bar);
+
+                if (site) {
+                    const visits = document.createElement('div');
+                    visits.className = 'frame-url';
+                    visits.textContent = `First visit ${new Date(site.firstVisit).toLocaleString()}, last visit ${new Date(site.lastVisit).toLocaleString()}` +
+                        (site.previousVisit ? `, visit before ${new Date(site.previousVisit).toLocaleString()}` : '');
+                    fragment.appendChild(visits);
+                }
+
+                const scripts = new Map();
+                entries.forEach(entry => {
+                    const scriptUrl = entry.scriptUrl || '';
+                    if (!scripts.has(scriptUrl)) {
+                        scripts.set(scriptUrl, []);
+                    }
+                    scripts.get(scriptUrl).push(entry);
+                });
+                Array.from(scripts.keys())
+                    .sort((a, b) => (a === '' ? 1 : b === '' ? -1 : a.localeCompare(b)))
+                    .forEach(scriptUrl => {
+                        const script = document.createElement('div');
+                        script.className = 'inventory-script';
+                        script.textContent = scriptUrl || 'Inline or unknown script';
+                        script.title = scriptUrl;
+                        fragment.appendChild(script);
+                        scripts.get(scriptUrl).forEach(entry => fragment.appendChild(this.createKnownEntry(entry, site)));
+                    });
+                container.appendChild(fragment);
+
+                if (entries.length === 0) {
+                    this.showEmptyState(container, 'No known listeners',
+                        'Nothing recorded for this site yet, or everything recorded is blocked.');
+                }
+
+                if (preserveScroll && contentElement && savedScrollTop > 0) {
+                    setTimeout(() => {
+                        contentElement.scrollTop = savedScrollTop;
+                    }, 0);
+                }
+            });
+        } catch (error) {
+            console.error('FancyTracker: Error building known listener list:', error);
+        }
+    }
+}
\ No newline at end of file
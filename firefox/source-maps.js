@@ -0,0 +1,408 @@
+// Source map resolution for listener code - background only - Firefox Compatible Version
+// Loaded before background.js (see manifest.json), publishes itself on globalThis like stack-parser.js
+class SourceMapResolver {
+    constructor(stackParser) {
+        this.stackParser = stackParser;
+
+        this.BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        this.BASE64_VALUES = {};
+        for (let i = 0; i < this.BASE64_CHARS.length; i++) {
+            this.BASE64_VALUES[this.BASE64_CHARS[i]] = i;
+        }
+
+        // Last //# sourceMappingURL= (or the old //@ form) in a script
+        this.SOURCE_MAPPING_URL_REGEX = /(?:\/\/|\/\*)[#@]\s*sourceMappingURL\s*=\s*([^\s'"*]+)\s*(?:\*\/)?\s*$/gm;
+        // Maps served as JSON may start with an XSSI guard
+        this.XSSI_PREFIX_REGEX = /^\)\]\}'[^\n]*\n/;
+
+        // Frame kinds whose script can be fetched again - inline scripts are read from the page instead,
+        // fetching their document would load the page again
+        this.FETCHABLE_KINDS = ['script'];
+        // Stack frames tried when looking for the script holding the listener
+        this.MAX_SCRIPTS_PER_LISTENER = 3;
+        // Most lines of original source shown for one handler
+        this.MAX_SNIPPET_LINES = 300;
+
+        // Per script URL: Promise of {text, map} - map is null when the script has none
+        this.scripts = new Map();
+        this.maxScripts = 30;
+    }
+
+    // Decode one mappings segment ("AAgBC") into its numbers
+    decodeVlq(segment) {
+        const values = [];
+        let value = 0;
+        let shift = 0;
+        for (let i = 0; i < segment.length; i++) {
+            const digit = this.BASE64_VALUES[segment[i]];
+            if (digit === undefined) {
+                throw new Error(`Invalid base64 digit "${segment[i]}" in source map`);
+            }
+            value += (digit & 31) << shift;
+            if (digit & 32) {
+                shift += 5;
+            } else {
+                values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+                value = 0;
+                shift = 0;
+            }
+        }
+        return values;
+    }
+
+    // Turn the mappings string into per-line arrays of [column, source, line, column, name]
+    parseMappings(mappings) {
+        const lines = [];
+        let source = 0, originalLine = 0, originalColumn = 0, name = 0;
+
+        for (const line of mappings.split(';')) {
+            const segments = [];
+            let generatedColumn = 0;
+            if (line) {
+                for (const segment of line.split(',')) {
+                    if (!segment) continue;
+                    const values = this.decodeVlq(segment);
+                    generatedColumn += values[0];
+                    if (values.length >= 4) {
+                        source += values[1];
+                        originalLine += values[2];
+                        originalColumn += values[3];
+                        if (values.length >= 5) {
+                            name += values[4];
+                        }
+                        segments.push([generatedColumn, source, originalLine, originalColumn, values.length >= 5 ? name : -1]);
+                    } else {
+                        segments.push([generatedColumn]);
+                    }
+                }
+            }
+            segments.sort((a, b) => a[0] - b[0]);
+            lines.push(segments);
+        }
+        return lines;
+    }
+
+    // Resolve the map's sources against sourceRoot and the map's own URL
+    resolveSources(raw, mapUrl) {
+        const root = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+        return (raw.sources || []).map(source => {
+            if (source === null) return null;
+            const path = /^[a-z][\w+.-]*:/i.test(source) ? source : root + source;
+            try {
+                return new URL(path, mapUrl).href;
+            } catch (e) {
+                return path;
+            }
+        });
+    }
+
+    // Parse a source map, index maps (with sections) included
+    parseSourceMap(raw, mapUrl) {
+        if (Array.isArray(raw.sections)) {
+            return {
+                sections: raw.sections.filter(section => section.map).map(section => ({
+                    line: section.offset ? section.offset.line : 0,
+                    column: section.offset ? section.offset.column : 0,
+                    map: this.parseSourceMap(section.map, mapUrl)
+                }))
+            };
+        }
+
+        return {
+            sources: this.resolveSources(raw, mapUrl),
+            sourcesContent: raw.sourcesContent || [],
+            names: raw.names || [],
+            lines: this.parseMappings(raw.mappings || '')
+        };
+    }
+
+    // Find the original position of a generated 0-based line/column
+    lookup(map, line, column) {
+        if (map.sections) {
+            let match = null;
+            for (const section of map.sections) {
+                if (section.line < line || (section.line === line && section.column <= column)) {
+                    match = section;
+                }
+            }
+            if (!match) return null;
+            return this.lookup(match.map, line - match.line, line === match.line ? column - match.column : column);
+        }
+
+        const segments = map.lines[line];
+        if (!segments) return null;
+
+        // Last segment starting at or before the column
+        let found = null;
+        for (const segment of segments) {
+            if (segment[0] > column) break;
+            found = segment;
+        }
+        if (!found || found.length < 4) return null;
+
+        return {
+            map: map,
+            source: map.sources[found[1]] || null,
+            sourceIndex: found[1],
+            line: found[2],
+            column: found[3],
+            name: found[4] >= 0 ? map.names[found[4]] || null : null
+        };
+    }
+
+    // Name of the function starting at an original position: function declarations,
+    // "name = (e) => ...", "name: function ..." and method shorthand
+    findOriginalName(content, start) {
+        const line = content.split('\n')[start.line] || '';
+        const after = line.substring(start.column);
+        const before = line.substring(0, start.column);
+
+        const declared = after.match(/^(?:async\s+)?function\s*\*?\s*([\w$]+)/);
+        if (declared) return declared[1];
+        const assigned = before.match(/([\w$.]+)\s*[:=]\s*(?:async\s+)?\(?$/);
+        if (assigned) return assigned[1];
+        const method = after.match(/^(?:async\s+)?([\w$]+)\s*\([^)]*\)\s*\{/);
+        if (method && method[1] !== 'function') return method[1];
+        return null;
+    }
+
+    // UTF-8 safe base64 decoding for inline data: maps
+    decodeDataUrl(url) {
+        const comma = url.indexOf(',');
+        const meta = url.substring(5, comma);
+        const data = url.substring(comma + 1);
+        if (!/;base64$/i.test(meta)) {
+            return decodeURIComponent(data);
+        }
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new TextDecoder().decode(bytes);
+    }
+
+    // Where a script's map lives: SourceMap header or the last sourceMappingURL comment
+    findSourceMapUrl(text, response) {
+        const header = response && (response.headers.get('SourceMap') || response.headers.get('X-SourceMap'));
+        if (header) return header.trim();
+
+        let url = null;
+        this.SOURCE_MAPPING_URL_REGEX.lastIndex = 0;
+        let match;
+        while ((match = this.SOURCE_MAPPING_URL_REGEX.exec(text)) !== null) {
+            url = match[1];
+        }
+        this.SOURCE_MAPPING_URL_REGEX.lastIndex = 0;
+        return url;
+    }
+
+    async fetchSourceMap(mapUrl, scriptUrl) {
+        let json;
+        let resolvedUrl = scriptUrl;
+        if (mapUrl.startsWith('data:')) {
+            json = this.decodeDataUrl(mapUrl);
+        } else {
+            resolvedUrl = new URL(mapUrl, scriptUrl).href;
+            const response = await fetch(resolvedUrl, { cache: 'force-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} for ${resolvedUrl}`);
+            }
+            json = await response.text();
+        }
+        return this.parseSourceMap(JSON.parse(json.replace(this.XSSI_PREFIX_REGEX, '')), resolvedUrl);
+    }
+
+    async fetchScript(url) {
+        const response = await fetch(url, { cache: 'force-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        const text = await response.text();
+
+        // A broken map leaves the script usable - the error is kept for the caller
+        let map = null;
+        let error = null;
+        const mapUrl = this.findSourceMapUrl(text, response);
+        if (mapUrl) {
+            try {
+                map = await this.fetchSourceMap(mapUrl, url);
+            } catch (mapError) {
+                error = new Error(`Failed to load source map for ${url}: ${mapError.message}`);
+            }
+        }
+        return { text: text, map: map, error: error };
+    }
+
+    // Script text and map, cached per URL - failures are cached too so a page isn't hammered,
+    // every caller gets the rejection
+    loadScript(url) {
+        if (this.scripts.has(url)) {
+            return this.scripts.get(url);
+        }
+        if (this.scripts.size >= this.maxScripts) {
+            this.scripts.delete(this.scripts.keys().next().value);
+        }
+
+        const promise = this.fetchScript(url);
+        // Handled by whoever awaits it - the cached copy must not count as unhandled
+        promise.catch(() => {});
+        this.scripts.set(url, promise);
+        return promise;
+    }
+
+    // 0-based line/column of a string offset
+    positionAt(text, offset) {
+        let line = 0;
+        let lineStart = 0;
+        let index = text.indexOf('\n');
+        while (index !== -1 && index < offset) {
+            line++;
+            lineStart = index + 1;
+            index = text.indexOf('\n', lineStart);
+        }
+        return { line: line, column: offset - lineStart };
+    }
+
+    // Original handler source from its mapped start until its braces close. The mapped end
+    // only lands on the handler's last mapped token, so it is used for brace-less arrow functions.
+    extractSnippet(content, start, end) {
+        const lines = content.split('\n');
+        const snippet = [];
+        let depth = 0;
+        let opened = false;
+        for (let i = start.line; i < lines.length && snippet.length < this.MAX_SNIPPET_LINES; i++) {
+            const text = i === start.line ? lines[i].substring(start.column) : lines[i];
+            snippet.push(lines[i]);
+            for (const char of text) {
+                if (char === '{') {
+                    depth++;
+                    opened = true;
+                } else if (char === '}') {
+                    depth--;
+                }
+            }
+            if (opened ? depth <= 0 : !end || i >= end.line) break;
+        }
+        return snippet.join('\n');
+    }
+
+    // Map a generated position to the original one and describe it for the popup.
+    // endGenerated marks where the handler ends - without it no source is extracted.
+    describeOriginal(map, generated, endGenerated) {
+        const start = this.lookup(map, generated.line, generated.column);
+        if (!start || !start.source) return null;
+
+        const result = {
+            source: start.source,
+            line: start.line + 1,
+            column: start.column + 1,
+            name: start.name,
+            generated: {
+                url: generated.url,
+                line: generated.line + 1,
+                column: generated.column + 1
+            },
+            snippet: null
+        };
+
+        const content = start.map.sourcesContent[start.sourceIndex];
+        if (typeof content === 'string' && endGenerated) {
+            const end = this.lookup(map, endGenerated.line, endGenerated.column);
+            const sameSource = end && end.map === start.map && end.sourceIndex === start.sourceIndex;
+            result.snippet = this.extractSnippet(content, start, sameSource ? end : null);
+            // The segment name at a handler's start is usually its first parameter
+            result.name = this.findOriginalName(content, start);
+        }
+        return result;
+    }
+
+    // Map the listener code's position in a script with a map, null when it isn't in there
+    matchCode(script, url, code) {
+        if (!script.map || !code) return null;
+
+        const offset = script.text.indexOf(code);
+        if (offset === -1) return null;
+
+        const start = this.positionAt(script.text, offset);
+        const end = this.positionAt(script.text, offset + code.length - 1);
+        const result = this.describeOriginal(script.map,
+            { url: url, line: start.line, column: start.column },
+            { line: end.line, column: end.column });
+        if (result) {
+            result.matched = 'code';
+        }
+        return result;
+    }
+
+    // Find a listener's code in the scripts on its stack and map it back to its original source.
+    // Falls back to mapping the registration frame when the code isn't in any of them.
+    // loadInlineScripts(documentUrl) resolves to the inline script texts of that document.
+    // Throws the first fetch or map failure when nothing could be resolved.
+    async resolveListener(listener, loadInlineScripts) {
+        const stackFrames = this.stackParser.parseStack(listener.fullstack || (listener.stack ? [listener.stack] : []),
+            this.stackParser.getDocumentUrl(listener));
+        const frames = stackFrames.filter(frame => this.FETCHABLE_KINDS.indexOf(frame.kind) !== -1);
+
+        let failure = null;
+        const load = async (url) => {
+            try {
+                const script = await this.loadScript(url);
+                failure = failure || script.error;
+                return script;
+            } catch (error) {
+                failure = failure || error;
+                return null;
+            }
+        };
+
+        const urls = [];
+        for (const frame of frames) {
+            if (urls.indexOf(frame.url) === -1 && urls.length < this.MAX_SCRIPTS_PER_LISTENER) {
+                urls.push(frame.url);
+            }
+        }
+
+        const code = listener.listener || '';
+        for (const url of urls) {
+            const script = await load(url);
+            const result = script && this.matchCode(script, url, code);
+            if (result) return result;
+        }
+
+        // Inline scripts come from the page as it is now - a navigated tab simply has none
+        const inline = stackFrames.find(frame => frame.kind === 'inline');
+        if (inline && code && loadInlineScripts) {
+            try {
+                for (const text of await loadInlineScripts(inline.url)) {
+                    if (text.indexOf(code) === -1) continue;
+                    const mapUrl = this.findSourceMapUrl(text, null);
+                    if (!mapUrl) continue;
+                    const result = this.matchCode({ text: text, map: await this.fetchSourceMap(mapUrl, inline.url) }, inline.url, code);
+                    if (result) return result;
+                }
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+
+        // Registration site - at least says which original file added the listener
+        const frame = frames[0];
+        if (frame && frame.line !== null) {
+            const script = await load(frame.url);
+            if (script && script.map) {
+                const result = this.describeOriginal(script.map,
+                    { url: frame.url, line: frame.line - 1, column: frame.column !== null ? frame.column - 1 : 0 }, null);
+                if (result) {
+                    result.matched = 'registration';
+                    return result;
+                }
+            }
+        }
+
+        if (failure) throw failure;
+        return null;
+    }
+}
+
+globalThis.SourceMapResolver = SourceMapResolver;
\ No newline at end of file
@@ -0,0 +1,175 @@
+// Stack trace parsing shared by the background script and the popup - Firefox Compatible Version
+// Loaded as a plain script in the popup and as a module in the background, so it publishes itself on globalThis
+class StackParser {
+    constructor() {
+        // Chrome: "at fn (location)", "at new Foo (location)", "at async fn (location)" or "at location"
+        this.CHROME_FRAME_REGEX = /^\s*at\s+(?:(.*?)\s+\((.*)\)|(.*))\s*$/;
+        // Firefox/Safari: "fn@location", "@location", "fn/<@location"
+        this.GECKO_FRAME_REGEX = /^\s*([^@]*)@(.*?)\s*$/;
+        // Chrome eval frames point at the script that called eval: "eval at fn (url:1:2), <anonymous>:3:4"
+        this.CHROME_EVAL_REGEX = /^eval at [^(]*\((.*?)\)(?:,|$)/;
+        // Firefox eval/Function frames: "url line 12 > eval:3:4", "url line 12 > Function:3:4"
+        this.GECKO_EVAL_REGEX = /^(.*) line (\d+) > (?:eval|Function|injectedScript)/;
+        this.LINE_COLUMN_REGEX = /^(.*):(\d+):(\d+)$/;
+        this.LINE_REGEX = /^(.*):(\d+)$/;
+        this.EXTENSION_URL_REGEX = /^(?:moz|chrome|safari(?:-web)?)-extension:/;
+
+        // Frames that can't belong to the page's own scripts
+        this.FOREIGN_KINDS = ['extension', 'native', 'anonymous'];
+
+        this.cache = new Map();
+        this.maxCacheSize = 500;
+    }
+
+    // Classify where a frame's code came from
+    getKind(url, documentUrl) {
+        if (!url || url === '<anonymous>') return 'anonymous';
+        if (url === 'native' || url === '[native code]') return 'native';
+        if (this.EXTENSION_URL_REGEX.test(url)) return 'extension';
+        if (url.startsWith('blob:')) return 'blob';
+        if (url.startsWith('data:')) return 'data';
+        if (url.startsWith('about:srcdoc')) return 'srcdoc';
+        if (/^https?:/.test(url)) {
+            // Inline <script> frames carry the document's own URL
+            if (documentUrl && url.split('#')[0] === documentUrl.split('#')[0]) return 'inline';
+            return 'script';
+        }
+        return 'other';
+    }
+
+    // URL of the document a listener was registered in - parent_url is the tab's top page,
+    // which would class inline scripts of an iframe as 'script'. Older records have no context
+    getDocumentUrl(listener) {
+        return (listener.context && listener.context.url) || listener.parent_url;
+    }
+
+    // Split "url:line:column" into its parts
+    parseLocation(location) {
+        const result = { url: location, line: null, column: null };
+        const lineColumn = location.match(this.LINE_COLUMN_REGEX);
+        const lineOnly = lineColumn ? null : location.match(this.LINE_REGEX);
+        const match = lineColumn || lineOnly;
+        // "https://host:8080" alone has no line - only accept a number at the very end of a path
+        if (match && !/^[a-z][\w+.-]*:\/\/[^/]*$/i.test(match[1])) {
+            result.url = match[1];
+            result.line = parseInt(match[2], 10);
+            result.column = lineColumn ? parseInt(match[3], 10) : null;
+        }
+        return result;
+    }
+
+    // Parse one stack line into {functionName, url, line, column, kind, raw}, null if it has no location
+    parseFrame(line, documentUrl) {
+        if (typeof line !== 'string') return null;
+        const raw = line.trim();
+        if (!raw || raw === 'Error') return null;
+
+        let functionName = '';
+        let location = null;
+
+        const chrome = raw.match(this.CHROME_FRAME_REGEX);
+        const gecko = chrome ? null : raw.match(this.GECKO_FRAME_REGEX);
+        if (chrome) {
+            functionName = (chrome[1] || '').replace(/^(?:async|new)\s+/, '');
+            location = chrome[2] !== undefined ? chrome[2] : chrome[3];
+        } else if (gecko) {
+            functionName = gecko[1];
+            location = gecko[2];
+        } else {
+            return null;
+        }
+
+        let evaluated = false;
+        const chromeEval = location.match(this.CHROME_EVAL_REGEX);
+        if (chromeEval) {
+            location = chromeEval[1];
+            evaluated = true;
+        }
+
+        let frame;
+        const geckoEval = location.match(this.GECKO_EVAL_REGEX);
+        if (geckoEval) {
+            // Inner positions are relative to the evaluated code - report where eval was called
+            frame = { url: geckoEval[1], line: parseInt(geckoEval[2], 10), column: null };
+            evaluated = true;
+        } else {
+            frame = this.parseLocation(location);
+        }
+
+        const kind = this.getKind(frame.url, documentUrl);
+        return {
+            functionName: functionName,
+            url: frame.url,
+            line: frame.line,
+            column: frame.column,
+            kind: evaluated && this.FOREIGN_KINDS.indexOf(kind) === -1 ? 'eval' : kind,
+            raw: raw
+        };
+    }
+
+    // Parse a whole stack, given as an array of lines or a single string
+    parseStack(stack, documentUrl) {
+        const lines = Array.isArray(stack) ? stack : (typeof stack === 'string' ? stack.split('\n') : []);
+        const frames = [];
+        for (const line of lines) {
+            const frame = this.parseFrame(line, documentUrl);
+            if (frame) {
+                frames.push(frame);
+            }
+        }
+        return frames;
+    }
+
+    // Strip query parameters and fragments from script URLs - other schemes are kept whole
+    cleanUrl(url) {
+        if (!url) return url;
+        if (!/^https?:/.test(url)) {
+            return url.startsWith('blob:') ? url.split('#')[0] : url;
+        }
+        try {
+            const urlObj = new URL(url);
+            // Return just protocol + hostname + pathname (no query params or fragments)
+            return urlObj.protocol + '//' + urlObj.hostname + urlObj.pathname;
+        } catch (e) {
+            // If URL parsing fails, try basic string manipulation
+            return url.split('?')[0].split('#')[0];
+        }
+    }
+
+    // First frame that belongs to the page rather than to FancyTracker or the browser
+    findPageFrame(stack, fullstack, documentUrl) {
+        const key = `${documentUrl || ''}\n${stack || ''}\n${(fullstack || []).join('\n')}`;
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        const frames = this.parseStack(fullstack || (stack ? [stack] : []), documentUrl);
+        const frame = frames.find(item => this.FOREIGN_KINDS.indexOf(item.kind) === -1 && item.url) || null;
+
+        if (this.cache.size >= this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, frame);
+        return frame;
+    }
+
+    // Cleaned URL of the script that registered a listener, used for URL blocking
+    extractScriptUrl(stack, fullstack) {
+        const frame = this.findPageFrame(stack, fullstack);
+        return frame ? this.cleanUrl(frame.url) : null;
+    }
+
+    // ":line:column" of a frame, empty when the stack had no position
+    formatPosition(frame) {
+        if (frame.line === null) return '';
+        return `:${frame.line}${frame.column !== null ? ':' + frame.column : ''}`;
+    }
+
+    // Script URL plus position - tells apart identical code registered from different places
+    extractScriptLocation(stack, fullstack) {
+        const frame = this.findPageFrame(stack, fullstack);
+        return frame ? this.cleanUrl(frame.url) + this.formatPosition(frame) : null;
+    }
+}
+
+globalThis.StackParser = StackParser;
\ No newline at end of file
@@ -0,0 +1,333 @@
+// Script viewer for FancyTracker - shows a listener inside its whole script - Firefox Compatible Version
+class ScriptViewer {
+    constructor() {
+        this.storage = new PopupStorage();
+
+        const params = new URLSearchParams(location.search);
+        this.url = params.get('url') || '';
+        this.line = parseInt(params.get('line'), 10) || null;
+        this.column = parseInt(params.get('column'), 10) || null;
+        this.code = params.get('code') || '';
+        // Set for inline scripts - they're read from the listener's tab instead of fetched
+        this.tabId = params.has('tab') ? parseInt(params.get('tab'), 10) : null;
+
+        this.text = '';
+        this.lineStarts = [];
+        this.lineElements = [];
+        this.searchMatches = [];
+        this.searchIndex = -1;
+
+        // Bigger files are shown without syntax highlighting
+        this.MAX_HIGHLIGHT_SIZE = 500000;
+        this.MAX_SEARCH_MATCHES = 1000;
+    }
+
+    async init() {
+        await this.storage.loadSyntaxHighlightSetting();
+        await this.storage.loadCodeSettings();
+
+        document.title = `FancyTracker - ${this.url}`;
+        const urlElement = document.getElementById('viewer-url');
+        urlElement.textContent = this.url || 'No script URL given';
+        urlElement.title = this.url;
+
+        this.setupSearch();
+
+        try {
+            this.text = this.tabId !== null ? await this.loadInlineScript(this.url) : await this.fetchSource(this.url);
+        } catch (error) {
+            console.error('FancyTracker: Failed to load script:', error);
+            this.showError(`Could not load ${this.url}: ${error.message}`);
+            return;
+        }
+
+        this.render();
+        this.showTarget();
+    }
+
+    // data: scripts are decoded by fetch as well, blob: URLs belong to the page and can't be read
+    async fetchSource(url) {
+        if (!/^(?:https?|data):/.test(url)) {
+            throw new Error('only http(s) and data: scripts can be fetched');
+        }
+        const response = await fetch(url, { cache: 'force-cache', credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
+    }
+
+    // Inline <script>s come from the frame still showing the document - requesting it again could
+    // have side effects or return a different page. The script holding the listener's code when
+    // it's known, else all of them
+    async loadInlineScript(url) {
+        const response = await this.storage.browserAPI.tabs.sendMessage(this.tabId, { action: 'getInlineScripts', url: url })
+            .catch(() => null);
+        const scripts = (response && response.scripts) || [];
+        if (scripts.length === 0) {
+            throw new Error('the page is no longer open in its tab');
+        }
+
+        const match = this.code && scripts.find(text => text.indexOf(this.code) !== -1);
+        if (match) {
+            return match;
+        }
+        return scripts.map((text, index) => `// Inline script ${index + 1} of ${scripts.length}\n${text}`).join('\n\n');
+    }
+
+    showError(text) {
+        const container = document.getElementById('viewer-code');
+        container.innerHTML = '';
+        const error = document.createElement('div');
+        error.className = 'viewer-error';
+        error.textContent = text;
+        container.appendChild(error);
+        document.getElementById('viewer-info').textContent = '';
+    }
+
+    htmlEscape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // Records from before frame URLs were kept can still point a script frame at an HTML document
+    getLanguage(text) {
+        return /^\s*</.test(text) ? 'xml' : 'javascript';
+    }
+
+    // Highlight the whole file at once, then split the HTML into lines, closing and
+    // reopening the spans that cross line breaks
+    highlightLines(text) {
+        if (!this.storage.syntaxHighlightEnabled || typeof hljs === 'undefined' || text.length > this.MAX_HIGHLIGHT_SIZE) {
+            return text.split('\n').map(line => this.htmlEscape(line));
+        }
+
+        let html;
+        try {
+            html = hljs.highlight(text, { language: this.getLanguage(text), ignoreIllegals: true }).value;
+        } catch (error) {
+            console.error('FancyTracker: Error applying syntax highlighting:', error);
+            return text.split('\n').map(line => this.htmlEscape(line));
+        }
+
+        const lines = [];
+        const open = [];
+        let current = '';
+        for (const token of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+            if (token === '\n') {
+                lines.push(current + '</span>'.repeat(open.length));
+                current = open.join('');
+            } else if (token.startsWith('<span')) {
+                open.push(token);
+                current += token;
+            } else if (token === '</span>') {
+                open.pop();
+                current += token;
+            } else {
+                current += token;
+            }
+        }
+        lines.push(current);
+        return lines;
+    }
+
+    render() {
+        const container = document.getElementById('viewer-code');
+        container.innerHTML = '';
+        container.style.fontSize = `${this.storage.codeFontSize}px`;
+
+        this.lineStarts = [0];
+        for (let i = this.text.indexOf('\n'); i !== -1; i = this.text.indexOf('\n', i + 1)) {
+            this.lineStarts.push(i + 1);
+        }
+
+        const fragment = document.createDocumentFragment();
+        this.lineElements = this.highlightLines(this.text).map((html, index) => {
+            const row = document.createElement('div');
+            row.className = 'viewer-line';
+
+            const number = document.createElement('span');
+            number.className = 'viewer-line-number';
+            number.textContent = index + 1;
+
+            const code = document.createElement('span');
+            code.className = 'viewer-line-code';
+            code.innerHTML = html;
+
+            row.appendChild(number);
+            row.appendChild(code);
+            fragment.appendChild(row);
+            return code;
+        });
+        container.appendChild(fragment);
+
+        document.getElementById('viewer-info').textContent =
+            `${this.lineStarts.length} lines, ${this.text.length} characters` +
+            (this.text.length > this.MAX_HIGHLIGHT_SIZE ? ' - too big for syntax highlighting' : '');
+    }
+
+    // 0-based line and column of a character offset
+    positionAt(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (this.lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return { line: low, column: offset - this.lineStarts[low] };
+    }
+
+    // Wrap columns [start, end) of a line in <mark>, splitting text nodes inside the highlighting spans
+    markLine(lineIndex, start, end, className) {
+        const code = this.lineElements[lineIndex];
+        if (!code) return null;
+
+        const walker = document.createTreeWalker(code, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+
+        let first = null;
+        let offset = 0;
+        for (const node of nodes) {
+            const length = node.length;
+            const from = Math.max(start, offset);
+            const to = Math.min(end, offset + length);
+            if (from < to) {
+                let target = node;
+                if (from > offset) {
+                    target = target.splitText(from - offset);
+                }
+                if (to - from < target.length) {
+                    target.splitText(to - from);
+                }
+                const mark = document.createElement('mark');
+                mark.className = className;
+                target.parentNode.insertBefore(mark, target);
+                mark.appendChild(target);
+                first = first || mark;
+            }
+            offset += length;
+        }
+        return first;
+    }
+
+    // Mark a range of the whole text, which may span lines - returns the first mark
+    markRange(startOffset, endOffset, className) {
+        const start = this.positionAt(startOffset);
+        const end = this.positionAt(endOffset);
+        let first = null;
+        for (let line = start.line; line <= end.line; line++) {
+            const from = line === start.line ? start.column : 0;
+            const to = line === end.line ? end.column : Infinity;
+            const mark = this.markLine(line, from, to, className);
+            first = first || mark;
+        }
+        return first;
+    }
+
+    clearMarks(className) {
+        document.querySelectorAll(`mark.${className}`).forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(document.createTextNode(mark.textContent));
+            parent.normalize();
+        });
+    }
+
+    // Mark the listener's code when it's in the file, else the registering line and column
+    showTarget() {
+        let target = null;
+
+        const codeOffset = this.code ? this.text.indexOf(this.code) : -1;
+        if (codeOffset !== -1) {
+            target = this.markRange(codeOffset, codeOffset + this.code.length, 'viewer-listener');
+        }
+
+        if (this.line && this.lineElements[this.line - 1]) {
+            const row = this.lineElements[this.line - 1].parentNode;
+            row.classList.add('viewer-target-line');
+
+            if (this.column) {
+                const lineText = this.text.substring(this.lineStarts[this.line - 1], this.lineStarts[this.line] || this.text.length);
+                const word = lineText.substring(this.column - 1).match(/^[\w$.]+/);
+                const mark = this.markLine(this.line - 1, this.column - 1, this.column - 1 + (word ? word[0].length : 1), 'viewer-target');
+                target = target || mark;
+            }
+            target = target || row;
+        }
+
+        if (target) {
+            target.scrollIntoView({ block: 'center', inline: 'center' });
+        }
+    }
+
+    setupSearch() {
+        const input = document.getElementById('viewer-search');
+        const previous = document.getElementById('viewer-search-prev');
+        const next = document.getElementById('viewer-search-next');
+
+        input.addEventListener('input', () => this.search(input.value));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.step(e.shiftKey ? -1 : 1);
+            }
+        });
+        previous.addEventListener('click', () => this.step(-1));
+        next.addEventListener('click', () => this.step(1));
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+                e.preventDefault();
+                input.focus();
+                input.select();
+            }
+        });
+    }
+
+    // Case-insensitive search over the whole file. Matched on the text itself - lowercasing
+    // changes the length of some characters ("İ"), which would shift the offsets
+    search(query) {
+        this.clearMarks('viewer-match-current');
+        this.searchMatches = [];
+        this.searchIndex = -1;
+
+        if (query) {
+            const regex = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+            let match;
+            while ((match = regex.exec(this.text)) !== null && this.searchMatches.length < this.MAX_SEARCH_MATCHES) {
+                this.searchMatches.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        this.step(1);
+    }
+
+    // Move to the next (1) or previous (-1) match
+    step(direction) {
+        const count = document.getElementById('viewer-search-count');
+        if (this.searchMatches.length === 0) {
+            count.textContent = document.getElementById('viewer-search').value ? 'No matches' : '';
+            return;
+        }
+
+        this.clearMarks('viewer-match-current');
+        this.searchIndex = (this.searchIndex + direction + this.searchMatches.length) % this.searchMatches.length;
+        const match = this.searchMatches[this.searchIndex];
+        const mark = this.markRange(match.start, match.end, 'viewer-match-current');
+        if (mark) {
+            mark.scrollIntoView({ block: 'center', inline: 'center' });
+        }
+
+        const capped = this.searchMatches.length >= this.MAX_SEARCH_MATCHES ? '+' : '';
+        count.textContent = `${this.searchIndex + 1} of ${this.searchMatches.length}${capped}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new ScriptViewer().init();
+});
\ No newline at end of file